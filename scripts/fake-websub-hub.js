@@ -0,0 +1,119 @@
+// Minimal WebSub hub for exercising /websub/youtube offline.
+// Accepts (un)subscribe requests, verifies the callback with a challenge like
+// the YouTube hub does, and publishes notifications signed with the
+// subscriber's hub.secret.
+//
+//   node scripts/fake-websub-hub.js            # listens on FAKE_HUB_PORT (default 7070)
+//   WEBSUB_HUB_URL=http://localhost:7070/subscribe npm run dev
+//
+// POST /publish?topic=... with an Atom body forwards it to the topic's subscribers.
+const crypto = require('crypto');
+const http = require('http');
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function createFakeHub() {
+  const subscriptions = new Map(); // topic -> { callback, secret, leaseSeconds }
+  const verifications = []; // { mode, topic, ok }
+  const waiters = [];
+
+  function settle(result) {
+    verifications.push(result);
+    for (const w of waiters.splice(0)) w(result);
+  }
+
+  // Resolves with the next verification attempt (or one that already happened)
+  function nextVerification(from = verifications.length) {
+    if (verifications.length > from) return Promise.resolve(verifications[from]);
+    return new Promise((resolve) => waiters.push(resolve));
+  }
+
+  async function verify({ callback, topic, mode, secret, leaseSeconds }) {
+    const challenge = crypto.randomBytes(12).toString('hex');
+    const url = new URL(callback);
+    url.searchParams.set('hub.mode', mode);
+    url.searchParams.set('hub.topic', topic);
+    url.searchParams.set('hub.challenge', challenge);
+    if (mode === 'subscribe') url.searchParams.set('hub.lease_seconds', `${leaseSeconds}`);
+    let ok = false;
+    try {
+      const res = await fetch(url);
+      ok = res.ok && (await res.text()) === challenge;
+    } catch (e) {
+      ok = false;
+    }
+    if (ok && mode === 'subscribe') subscriptions.set(topic, { callback, secret, leaseSeconds });
+    if (ok && mode === 'unsubscribe') subscriptions.delete(topic);
+    settle({ mode, topic, ok });
+  }
+
+  // Sends `xml` to every verified subscriber of `topic`; `secret` overrides the signing key
+  async function publish(topic, xml, { secret } = {}) {
+    const sub = subscriptions.get(topic);
+    if (!sub) return 0;
+    const key = secret ?? sub.secret;
+    const headers = { 'content-type': 'application/atom+xml' };
+    if (key) headers['x-hub-signature'] = `sha1=${crypto.createHmac('sha1', key).update(xml).digest('hex')}`;
+    const res = await fetch(sub.callback, { method: 'POST', headers, body: xml });
+    return res.status;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await readBody(req);
+    if (req.method === 'POST' && url.pathname === '/subscribe') {
+      const form = new URLSearchParams(body);
+      const request = {
+        callback: form.get('hub.callback'),
+        topic: form.get('hub.topic'),
+        mode: form.get('hub.mode'),
+        secret: form.get('hub.secret') || null,
+        leaseSeconds: parseInt(form.get('hub.lease_seconds') || '432000', 10),
+      };
+      if (!request.callback || !request.topic || !['subscribe', 'unsubscribe'].includes(request.mode)) {
+        res.writeHead(400).end('bad request');
+        return;
+      }
+      res.writeHead(202).end();
+      verify(request);
+      return;
+    }
+    if (req.method === 'POST' && url.pathname === '/publish') {
+      const status = await publish(url.searchParams.get('topic'), body).catch(() => 502);
+      res.writeHead(status ? 200 : 404, { 'content-type': 'application/json' }).end(JSON.stringify({ status }));
+      return;
+    }
+    res.writeHead(404).end();
+  });
+
+  return {
+    server,
+    subscriptions,
+    verifications,
+    nextVerification,
+    publish,
+    listen(port = 0) {
+      return new Promise((resolve) => server.listen(port, '127.0.0.1', () => resolve(server.address().port)));
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+if (require.main === module) {
+  const hub = createFakeHub();
+  hub.listen(parseInt(process.env.FAKE_HUB_PORT || '7070', 10)).then((port) => {
+    console.log(`Fake WebSub hub on http://localhost:${port}/subscribe`);
+  });
+}
+
+module.exports = { createFakeHub };
@@ -1,14 +1,18 @@
  
 
 const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const http2 = require('http2');
 const express = require('express');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const { body, query, param, validationResult } = require('express-validator');
+const { body, query, param, header, validationResult } = require('express-validator');
 const morgan = require('morgan');
 const cors = require('cors');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const { createClient } = require('@supabase/supabase-js');
 const { fetch } = require('undici');
 const Parser = require('rss-parser');
@@ -61,6 +65,10 @@ const strictLimiter = rateLimit({
 
 app.use('/api/', generalLimiter); // Apply to all API routes
 app.use('/polls/:id/vote', strictLimiter); // Stricter limit for voting
+app.use('/devices', strictLimiter); // Push token registration
+app.use('/me/link-device', strictLimiter); // Vote and device linking on sign-in
+app.use('/admin/login', strictLimiter); // Password guessing
+app.post('/predictions', strictLimiter); // Prediction writes
 
 const PORT = process.env.PORT || 3001;
 const YT_KEY = process.env.YOUTUBE_API_KEY;
@@ -97,25 +105,121 @@ const handleValidation = (req, res, next) => {
   next();
 };
 
-// Admin authentication with rate limiting protection
-function requireAdmin(req, res, next) {
-  const token = req.headers['x-admin-secret'] || req.query.secret;
-  if (!ADMIN_SECRET) {
-    return res.status(503).json({ error: 'Admin功能 temporarily unavailable' });
-  }
+// Admin authentication
+// Admins sign in with their own account (`admin_users`) through
+// POST /admin/login and send the returned HS256 token as a Bearer header.
+// Roles: `editor` manages polls, `owner` can also manage channels, feeds,
+// admin accounts and read the audit log. The shared ADMIN_SECRET is still
+// accepted in the x-admin-secret header (never the query string) as an owner,
+// to bootstrap the first account. Without ADMIN_JWT_SECRET sign-in is
+// disabled and only the shared secret works.
+const ADMIN_JWT_SECRET = process.env.ADMIN_JWT_SECRET || '';
+const ADMIN_SESSION_TTL = 12 * 60 * 60 * 1000;
+const ADMIN_ROLES = ['editor', 'owner'];
+const TTL_ADMIN_ACCOUNT = 30 * 1000;
+
+if (!ADMIN_JWT_SECRET) console.warn('Warning: ADMIN_JWT_SECRET is not set, admin sign-in is disabled');
+
+const adminAccounts = new Map(); // admin id -> { data, expires }
+
+// Re-read so disabling an account or changing its role applies to live sessions
+async function getActiveAdmin(id) {
+  const cached = adminAccounts.get(id);
+  if (cached && cached.expires > Date.now()) return cached.data;
+  if (!supabaseAdmin) return null;
+  const { data, error } = await supabaseAdmin
+    .from('admin_users')
+    .select('id, email, role, disabled')
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  const admin = data && !data.disabled ? { id: data.id, email: data.email, role: data.role } : null;
+  adminAccounts.set(id, { data: admin, expires: Date.now() + TTL_ADMIN_ACCOUNT });
+  return admin;
+}
+
+function secretMatches(token) {
   // Use constant-time comparison to prevent timing attacks
   const tokenBuffer = Buffer.from(token || '', 'utf8');
   const secretBuffer = Buffer.from(ADMIN_SECRET, 'utf8');
-  const match = tokenBuffer.length === secretBuffer.length &&
-    crypto.timingSafeEqual(tokenBuffer, secretBuffer);
-  if (!match) {
+  return tokenBuffer.length === secretBuffer.length && crypto.timingSafeEqual(tokenBuffer, secretBuffer);
+}
+
+const requireAdmin = asyncHandler(async (req, res, next) => {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '')?.[1];
+  if (bearer) {
+    if (!ADMIN_JWT_SECRET) return res.status(401).json({ error: 'Unauthorized' });
+    const claims = verifyHs256Jwt(bearer, ADMIN_JWT_SECRET);
+    req.admin = claims?.typ === 'admin' ? await getActiveAdmin(claims.sub) : null;
+    if (!req.admin) return res.status(401).json({ error: 'Unauthorized' });
+    return next();
+  }
+  const token = req.headers['x-admin-secret'];
+  if (!ADMIN_SECRET) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  if (!secretMatches(token)) {
     // Add small delay to slow down brute force
     return setTimeout(() => res.status(401).json({ error: 'Unauthorized' }), 1000);
   }
+  req.admin = { id: null, email: 'ADMIN_SECRET', role: 'owner' };
   next();
+});
+
+const requireOwner = [requireAdmin, (req, res, next) => {
+  if (req.admin.role !== 'owner') return res.status(403).json({ error: 'Owner role required' });
+  next();
+}];
+
+// User authentication (Supabase Auth)
+// Bearer access tokens are verified locally when SUPABASE_JWT_SECRET is set
+// (HS256, the Supabase default); otherwise each token is checked with
+// Supabase through auth.getUser().
+const SUPABASE_JWT_SECRET = process.env.SUPABASE_JWT_SECRET;
+
+function verifyHs256Jwt(token, secret) {
+  const [header, payload, signature] = `${token}`.split('.');
+  if (!header || !payload || !signature) return null;
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString('utf8')).alg !== 'HS256') return null;
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  if (claims.exp && claims.exp * 1000 <= Date.now()) return null;
+  return claims;
 }
 
-// Channels list
+async function authenticateUser(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (!m) return null;
+  if (SUPABASE_JWT_SECRET) {
+    const claims = verifyHs256Jwt(m[1], SUPABASE_JWT_SECRET);
+    return claims?.sub && claims.role === 'authenticated' ? { id: claims.sub, email: claims.email || null } : null;
+  }
+  if (!supabaseAdmin) return null;
+  const { data, error } = await supabaseAdmin.auth.getUser(m[1]);
+  if (error || !data?.user) return null;
+  return { id: data.user.id, email: data.user.email || null };
+}
+
+const requireUser = asyncHandler(async (req, res, next) => {
+  req.user = await authenticateUser(req);
+  if (!req.user) return res.status(401).json({ error: 'Unauthorized' });
+  next();
+});
+
+// Sets req.user when a valid token is sent; anonymous requests carry on
+const optionalUser = asyncHandler(async (req, _res, next) => {
+  req.user = await authenticateUser(req);
+  next();
+});
+
+// Default channels, seeded into the `channels` table and used when Supabase is not configured
 const CHANNEL_HANDLES = [
   '@ACMilan',
   '@fifa',
@@ -137,6 +241,7 @@ const CHANNEL_HANDLES = [
 // In-memory caches
 const cache = {
   channelIdByHandle: new Map(), // handle -> { id, expires }
+  uploadsPlaylistByChannel: new Map(), // channel id -> { id, expires }
   videosAll: { data: null, expires: 0 },
   videosByHandle: new Map(), // handle -> { data, expires }
   channelsList: { data: null, expires: 0 },
@@ -146,19 +251,405 @@ const cache = {
     today: { data: null, expires: 0 },
     upcoming: { data: null, expires: 0 },
   },
+  scoresRange: new Map(), // `${from}:${to}` -> { data, expires }
+  matches: new Map(), // match id -> { data, expires }
+  leagues: { data: null, expires: 0 },
+  standings: new Map(), // `${leagueId}:${season}` -> { data, expires }
+  leagueFixtures: new Map(), // `${leagueId}:${season}` -> { data, expires }
 };
 
+// Cache store
+// `cache` above stays the hot in-process layer. Entries are written through
+// to a store and read back on an in-memory miss, so they survive restarts and
+// are shared between instances when the store is Redis. Stored entries are
+// kept for CACHE_STALE_RETENTION past expiry so stale data is still
+// available to serve when quota runs out or providers fail. The memory store
+// only holds counters (quota); mirroring entries into it would keep a second
+// copy of every payload in the same process.
+// File by default so the YouTube quota count survives restarts
+const CACHE_STORE = process.env.CACHE_STORE || (process.env.REDIS_URL ? 'redis' : 'file');
+const CACHE_FILE = process.env.CACHE_FILE || path.join(__dirname, '.cache', 'cache.json');
+const CACHE_STALE_RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+function createMemoryCacheStore() {
+  const entries = new Map(); // key -> { value, expiresAt }
+  return {
+    name: 'memory',
+    entries,
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      if (e.expiresAt <= now()) {
+        entries.delete(key);
+        return null;
+      }
+      return e.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+    },
+    async del(key) {
+      entries.delete(key);
+    },
+    async incrBy(key, amount, ttlMs) {
+      const e = entries.get(key);
+      const value = (e && e.expiresAt > now() ? Number(e.value) || 0 : 0) + amount;
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      return value;
+    },
+    async close() {},
+  };
+}
+
+// Single-instance persistence: the memory store snapshotted to a JSON file
+function createFileCacheStore(file) {
+  const mem = createMemoryCacheStore();
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [key, e] of Object.entries(saved)) {
+      if (e.expiresAt > now()) mem.entries.set(key, e);
+    }
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn('Cache file unreadable, starting empty', e.message);
+  }
+
+  let timer = null;
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(Object.fromEntries(mem.entries)));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (e) {
+      console.warn('Cache file write failed', e.message);
+    }
+  }
+  function scheduleFlush() {
+    if (timer) return;
+    timer = setTimeout(flush, 1000);
+    timer.unref();
+  }
+
+  return {
+    name: 'file',
+    entries: mem.entries,
+    get: mem.get,
+    async set(key, value, ttlMs) {
+      await mem.set(key, value, ttlMs);
+      scheduleFlush();
+    },
+    async del(key) {
+      await mem.del(key);
+      scheduleFlush();
+    },
+    async incrBy(key, amount, ttlMs) {
+      const value = await mem.incrBy(key, amount, ttlMs);
+      scheduleFlush();
+      return value;
+    },
+    async close() {
+      flush();
+    },
+  };
+}
+
+function createRedisCacheStore(url) {
+  const Redis = require('ioredis');
+  // Fail fast instead of queueing while Redis is down; callers fall back to upstream fetches
+  const client = new Redis(url, { maxRetriesPerRequest: 1, enableOfflineQueue: false, commandTimeout: 2000 });
+  client.on('error', (e) => console.warn('Redis error', e.message));
+  const prefix = 'sportrays:cache:';
+  return {
+    name: 'redis',
+    client,
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(key, value, ttlMs) {
+      await client.set(prefix + key, JSON.stringify(value), 'PX', Math.max(1, Math.round(ttlMs)));
+    },
+    async del(key) {
+      await client.del(prefix + key);
+    },
+    // Atomic across instances
+    async incrBy(key, amount, ttlMs) {
+      const [[err, value]] = await client.multi().incrby(prefix + key, amount).pexpire(prefix + key, ttlMs).exec();
+      if (err) throw err;
+      return value;
+    },
+    async close() {
+      await client.quit();
+    },
+  };
+}
+
+function createCacheStore() {
+  if (CACHE_STORE === 'redis') {
+    if (process.env.REDIS_URL) return createRedisCacheStore(process.env.REDIS_URL);
+    console.warn('Warning: CACHE_STORE=redis but REDIS_URL is not set, using file');
+    return createFileCacheStore(CACHE_FILE);
+  }
+  if (CACHE_STORE === 'file') return createFileCacheStore(CACHE_FILE);
+  console.warn('Warning: CACHE_STORE=memory keeps the YouTube quota count in this process only. '
+    + 'It resets to 0 on every restart and deploy, so the daily quota can be overspent; use file or redis in production.');
+  return createMemoryCacheStore();
+}
+
+const cacheStore = createCacheStore();
+const mirrorCacheEntries = cacheStore.name !== 'memory';
+
+// Read-through: adopt the stored entry when it's fresher than the in-memory one
+async function loadCacheEntry(key, entry) {
+  if (!mirrorCacheEntries || (entry && entry.expires > now())) return entry;
+  try {
+    const stored = await cacheStore.get(key);
+    if (stored && (!entry || stored.expires > entry.expires)) return stored;
+  } catch (e) {
+    console.warn('Cache store read failed', key, e.message);
+  }
+  return entry;
+}
+
+async function loadCachedMapEntry(map, mapKey, storeKey) {
+  const entry = await loadCacheEntry(storeKey, map.get(mapKey));
+  if (entry) map.set(mapKey, entry);
+  return entry;
+}
+
+// Write-through; returns the entry so callers can assign it to `cache` in one go
+function writeCacheEntry(key, entry) {
+  if (!mirrorCacheEntries) return entry;
+  const ttl = Math.max(entry.expires - now(), 0) + CACHE_STALE_RETENTION;
+  cacheStore.set(key, entry, ttl).catch((e) => console.warn('Cache store write failed', key, e.message));
+  return entry;
+}
+
+// Background jobs
+// News, videos, channels and each scores scope are refreshed by jobs ahead of
+// expiry, so requests are answered from memory. Every upstream fetch goes
+// through singleFlight: a request that finds an expired entry joins the fetch
+// already running instead of starting another. A job's next run is timed from
+// the end of the last one, `interval` may be a function (adaptive intervals)
+// and runs start up to JOB_JITTER earlier so instances drift apart. Every
+// cache job runs at start-up. News, videos and channels then stay warm; scores
+// jobs pause once no client has read their data for JOB_IDLE_AFTER, sparing
+// provider quota, and wake on the next read (internal readers use readScores,
+// which doesn't count). The other periodic tasks (poll schedule, WebSub
+// sweep, ...) run as jobs too, so GET /admin/jobs shows them all.
+const JOB_JITTER = 0.2;
+const JOB_IDLE_AFTER = 30 * 60 * 1000;
+
+const inFlight = new Map(); // key -> promise of the fetch in progress
+const jobs = new Map(); // name -> job state
+
+function singleFlight(key, fn) {
+  if (inFlight.has(key)) return inFlight.get(key);
+  const promise = Promise.resolve().then(fn).finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+// Fresh data is returned as is. Data that expired less than `grace` ago is
+// returned at once while a refresh runs in the background; older or missing
+// data waits for the refresh.
+function serveCached(entry, key, refresh, grace) {
+  const nowMs = now();
+  if (entry && entry.data && entry.expires > nowMs) return Promise.resolve(entry.data);
+  const pending = singleFlight(key, refresh);
+  if (entry && entry.data && entry.expires + grace > nowMs) {
+    pending.catch((e) => console.warn('Background refresh failed', key, e.message));
+    return Promise.resolve(entry.data);
+  }
+  return pending;
+}
+
+const jobInterval = (job) => (typeof job.interval === 'function' ? job.interval() : job.interval);
+
+function scheduleJob(job, delay) {
+  clearTimeout(job.timer);
+  job.nextRunAt = now() + delay;
+  job.timer = setTimeout(() => runJob(job), delay);
+  job.timer.unref();
+}
+
+async function runJob(job) {
+  job.timer = null;
+  if (job.onDemand && !job.keepWarm() && now() - job.lastDemandAt > JOB_IDLE_AFTER) {
+    job.paused = true;
+    job.nextRunAt = null;
+    return;
+  }
+  const started = now();
+  job.running = true;
+  try {
+    await job.run();
+    job.lastError = null;
+  } catch (e) {
+    job.lastError = e.message;
+    job.lastErrorAt = new Date().toISOString();
+    console.warn(`Job ${job.name} failed`, e.message);
+  }
+  job.running = false;
+  job.runs++;
+  job.lastRunAt = new Date(started).toISOString();
+  job.lastDurationMs = now() - started;
+  scheduleJob(job, Math.round(jobInterval(job) * (1 - JOB_JITTER * Math.random())));
+}
+
+// `onDemand` jobs pause when idle and wake on touchJob; `immediate` runs once
+// at start, and for an on-demand job counts as a read so it stays up until idle
+function defineJob(name, { run, interval, onDemand = false, keepWarm = () => false, immediate = false }) {
+  if (jobs.has(name)) return jobs.get(name);
+  const job = {
+    name, run, interval, onDemand, keepWarm,
+    paused: false, running: false, timer: null, runs: 0, lastDemandAt: 0,
+    lastRunAt: null, lastDurationMs: null, lastError: null, lastErrorAt: null, nextRunAt: null,
+  };
+  jobs.set(name, job);
+  if (onDemand && immediate) job.lastDemandAt = now();
+  if (onDemand && !immediate && !keepWarm()) job.paused = true;
+  else scheduleJob(job, immediate ? 0 : jobInterval(job));
+  return job;
+}
+
+// Called by cache getters on every read
+function touchJob(name) {
+  const job = jobs.get(name);
+  if (!job) return;
+  job.lastDemandAt = now();
+  if (job.paused) {
+    job.paused = false;
+    scheduleJob(job, Math.round(jobInterval(job) * (1 - JOB_JITTER * Math.random())));
+  }
+}
+
+function startBackgroundRefresh() {
+  defineJob('news', { interval: TTL_NEWS, immediate: true, run: () => singleFlight('news', refreshNews) });
+  if (YT_KEY) {
+    defineJob('videos', { interval: TTL_VIDEOS, immediate: true, run: () => singleFlight('videos', refreshVideos) });
+    defineJob('channels', { interval: TTL_CHANNELS, immediate: true, run: () => singleFlight('channels', refreshChannelsList) });
+  }
+  defineJob('scores:upcoming', {
+    interval: () => scoresTtl('upcoming'),
+    onDemand: true,
+    immediate: true,
+    run: () => singleFlight('scores:upcoming', () => refreshScores('upcoming')),
+  });
+  defineJob('scores:today', {
+    interval: () => scoresTtl('today'),
+    onDemand: true,
+    immediate: true,
+    run: () => singleFlight('scores:today', () => refreshScores('today')),
+  });
+  // Push notifications and open streams need live snapshots even when no request is asking
+  defineJob('scores:live', {
+    interval: () => scoresTtl('live'),
+    onDemand: true,
+    immediate: true,
+    keepWarm: () => PUSH_NOTIFICATIONS || liveStream.clients.size > 0,
+    run: async () => {
+      // Kick-off times in today's fixtures decide how fast live scores are polled
+      if (!(cache.scores.today.expires > now() - ONE_HOUR)) {
+        await singleFlight('scores:today', () => refreshScores('today'));
+      }
+      await singleFlight('scores:live', () => refreshScores('live'));
+    },
+  });
+}
+
+function jobStatus() {
+  return [...jobs.values()].map((job) => ({
+    name: job.name,
+    intervalMs: jobInterval(job),
+    paused: job.paused,
+    running: job.running,
+    runs: job.runs,
+    lastRunAt: job.lastRunAt,
+    lastDurationMs: job.lastDurationMs,
+    lastError: job.lastError,
+    lastErrorAt: job.lastErrorAt,
+    nextRunAt: job.nextRunAt ? new Date(job.nextRunAt).toISOString() : null,
+    lastDemandAt: job.lastDemandAt ? new Date(job.lastDemandAt).toISOString() : null,
+  }));
+}
+
+// Channel configuration
+// Managed through /admin/channels in the Supabase `channels` table; falls
+// back to CHANNEL_HANDLES when Supabase is not configured or unreachable.
+const TTL_CHANNEL_CONFIG = 5 * 60 * 1000;
+const DEFAULT_CHANNEL_VIDEO_LIMIT = 6;
+
+let channelConfig = { data: null, expires: 0 };
+
+function defaultChannelConfig() {
+  return CHANNEL_HANDLES.map((handle, i) => ({
+    id: null,
+    handle,
+    enabled: true,
+    displayOrder: i + 1,
+    sport: 'football',
+    leagues: [],
+    videoLimit: DEFAULT_CHANNEL_VIDEO_LIMIT,
+  }));
+}
+
+function toChannelConfig(row) {
+  return {
+    id: row.id,
+    handle: row.handle,
+    enabled: row.enabled,
+    displayOrder: row.display_order,
+    sport: row.sport || null,
+    leagues: row.leagues || [],
+    videoLimit: row.video_limit || DEFAULT_CHANNEL_VIDEO_LIMIT,
+  };
+}
+
+// Enabled channels in display order
+async function getChannelConfig() {
+  if (channelConfig.data && channelConfig.expires > now()) return channelConfig.data;
+  if (!supabaseAdmin) return defaultChannelConfig();
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('channels')
+      .select('*')
+      .eq('enabled', true)
+      .order('display_order', { ascending: true });
+    if (error) throw error;
+    channelConfig = { data: data.map(toChannelConfig), expires: now() + TTL_CHANNEL_CONFIG };
+  } catch (e) {
+    console.warn('Channel config load failed', e.message);
+    return channelConfig.data || defaultChannelConfig();
+  }
+  return channelConfig.data;
+}
+
+// Expire everything derived from the channel list; stale data stays servable until refreshed
+function invalidateChannelCaches() {
+  channelConfig.expires = 0;
+  if (cache.channelsList.data) cache.channelsList = writeCacheEntry('channelsList', { ...cache.channelsList, expires: 0 });
+  if (cache.videosAll.data) cache.videosAll = writeCacheEntry('videosAll', { ...cache.videosAll, expires: 0 });
+  for (const [key, entry] of cache.videosByHandle) {
+    if (entry?.data) cache.videosByHandle.set(key, writeCacheEntry(`videos:${key}`, { ...entry, expires: 0 }));
+  }
+  if (jobs.has('websubSweep')) sweepWebSubSubscriptions().catch((e) => console.warn('WebSub sweep failed', e.message));
+}
+
 async function fetchChannelDetails(channelId) {
   if (!canMakeApiCall('channels')) {
     throw new Error('YouTube API quota limit reached for channel details');
   }
   
   try {
-    const url = `https://www.googleapis.com/youtube/v3/channels?part=snippet&id=${channelId}&key=${YT_KEY}`;
+    const url = `https://www.googleapis.com/youtube/v3/channels?part=snippet,contentDetails&id=${channelId}&key=${YT_KEY}`;
     const json = await fetchJson(url);
     recordQuotaUsage('channels');
     
     const item = json.items?.[0];
+    // Same call, so cache the uploads playlist for fetchRecentVideosForChannel
+    rememberUploadsPlaylist(channelId, item?.contentDetails?.relatedPlaylists?.uploads);
     const title = item?.snippet?.title;
     const avatar = item?.snippet?.thumbnails?.default?.url || null;
     return { title, avatar };
@@ -169,28 +660,33 @@ async function fetchChannelDetails(channelId) {
 }
 
 async function getChannelsList() {
-  if (cache.channelsList.data && cache.channelsList.expires > now()) return cache.channelsList.data;
+  touchJob('channels');
+  cache.channelsList = await loadCacheEntry('channelsList', cache.channelsList);
+  return serveCached(cache.channelsList, 'channels', refreshChannelsList, TTL_CHANNELS);
+}
 
+async function refreshChannelsList() {
+  const channels = await getChannelConfig();
   const list = [];
-  for (const handle of CHANNEL_HANDLES) {
+  for (const { handle, sport, leagues } of channels) {
     try {
       const channelId = await resolveChannelIdFromHandle(handle);
       const details = await fetchChannelDetails(channelId);
-      list.push({ handle, channelId, title: details.title, avatar: details.avatar });
+      list.push({ handle, channelId, title: details.title, avatar: details.avatar, sport, leagues });
     } catch (e) {
       console.warn('Channel details failed', handle, e.message);
-      list.push({ handle, channelId: null, title: handle.replace('@', ''), avatar: null });
+      list.push({ handle, channelId: null, title: handle.replace('@', ''), avatar: null, sport, leagues });
     }
   }
   const data = { items: list };
-  cache.channelsList = { data, expires: now() + TTL_CHANNELS };
+  cache.channelsList = writeCacheEntry('channelsList', { data, expires: now() + TTL_CHANNELS });
   return data;
 }
 
 // Smart cache TTLs with quota-aware management
 const ONE_HOUR = 60 * 60 * 1000;
 const TEN_MIN = 10 * 60 * 1000;
-const TTL_VIDEOS = 48 * 60 * 60 * 1000; // 48 hours (increased from 24)
+const TTL_VIDEOS = 30 * 60 * 1000; // 30 minutes now that a refresh costs ~2 units per channel
 const TTL_CHANNELS = 12 * 60 * 60 * 1000; // 12 hours (increased from 6)
 const TTL_CHANNEL_ID = 7 * 24 * 60 * 60 * 1000; // 1 week for channel ID resolution
 const TTL_NEWS = 15 * 60 * 1000; // 15 minutes
@@ -218,6 +714,71 @@ async function fetchJson(url, options = {}) {
   }
 }
 
+// Map over items with at most `limit` promises in flight, preserving order
+async function runWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+// Comma-separated query values, lowercased
+const splitList = (v) => `${v || ''}`.split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+
+// Opaque keyset cursors: the sort key of the last item served, so pages stay
+// stable when new items are inserted ahead of the cursor
+function encodeCursor(key) {
+  return base64url(JSON.stringify(key));
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(`${cursor}`, 'base64url').toString('utf8'));
+    return Array.isArray(key) ? key : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Offset cursors (search results ranked by the database) carry [offset]
+function isOffsetCursor(cursor) {
+  const offset = decodeCursor(cursor)?.[0];
+  return Number.isInteger(offset) && offset >= 0;
+}
+
+function compareCursorKeys(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === b[i]) continue;
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+// `items` must already be sorted ascending by keyOf()
+function paginate(items, { cursor, limit, keyOf }) {
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor) || [];
+    start = items.findIndex((it) => compareCursorKeys(keyOf(it), after) > 0);
+    if (start === -1) start = items.length;
+  }
+  const page = items.slice(start, start + limit);
+  const nextCursor = start + limit < items.length ? encodeCursor(keyOf(page[page.length - 1])) : null;
+  return { items: page, nextCursor };
+}
+
 function extractChannelIdFromHtml(html) {
   const patterns = [
     /"channelId":"(UC[\w-]{20,})"/,
@@ -233,7 +794,7 @@ function extractChannelIdFromHtml(html) {
 
 async function resolveChannelIdFromHandle(handle) {
   const key = handle.toLowerCase();
-  const entry = cache.channelIdByHandle.get(key);
+  const entry = await loadCachedMapEntry(cache.channelIdByHandle, key, `channelId:${key}`);
   if (entry && entry.expires > now()) return entry.id;
   // Try fast HTML scrape first (no API quota) if enabled
   if (YT_SCRAPE_FALLBACK) {
@@ -249,7 +810,7 @@ async function resolveChannelIdFromHandle(handle) {
         const html = await res.text();
         const scrapedId = extractChannelIdFromHtml(html);
         if (scrapedId) {
-          cache.channelIdByHandle.set(key, { id: scrapedId, expires: now() + TTL_CHANNEL_ID });
+          cache.channelIdByHandle.set(key, writeCacheEntry(`channelId:${key}`, { id: scrapedId, expires: now() + TTL_CHANNEL_ID }));
           return scrapedId;
         }
       }
@@ -272,7 +833,7 @@ async function resolveChannelIdFromHandle(handle) {
     const item = json.items?.[0];
     const channelId = item?.id?.channelId;
     if (!channelId) throw new Error(`Cannot resolve channel for handle ${handle}`);
-    cache.channelIdByHandle.set(key, { id: channelId, expires: now() + TTL_CHANNEL_ID });
+    cache.channelIdByHandle.set(key, writeCacheEntry(`channelId:${key}`, { id: channelId, expires: now() + TTL_CHANNEL_ID }));
     return channelId;
   } catch (e) {
     console.error(`Failed to resolve channel ${handle}:`, e.message);
@@ -293,136 +854,289 @@ function isoDurationToSeconds(iso) {
   return h * 3600 + min * 60 + s;
 }
 
+function rememberUploadsPlaylist(channelId, playlistId) {
+  if (!channelId || !playlistId) return;
+  cache.uploadsPlaylistByChannel.set(channelId, writeCacheEntry(`uploads:${channelId}`, { id: playlistId, expires: now() + TTL_CHANNEL_ID }));
+}
+
+// Every channel has an "uploads" playlist; listing it costs 1 unit vs 100 for search.list
+async function resolveUploadsPlaylistId(channelId) {
+  const entry = await loadCachedMapEntry(cache.uploadsPlaylistByChannel, channelId, `uploads:${channelId}`);
+  if (entry && entry.expires > now()) return entry.id;
+  if (!canMakeApiCall('channels')) {
+    if (entry && entry.id) return entry.id; // Use stale data
+    throw new Error('YouTube API quota limit reached for uploads playlist');
+  }
+  const url = `https://www.googleapis.com/youtube/v3/channels?part=contentDetails&id=${channelId}&key=${YT_KEY}`;
+  const json = await fetchJson(url);
+  recordQuotaUsage('channels');
+  const playlistId = json.items?.[0]?.contentDetails?.relatedPlaylists?.uploads;
+  if (!playlistId) throw new Error(`No uploads playlist for channel ${channelId}`);
+  rememberUploadsPlaylist(channelId, playlistId);
+  return playlistId;
+}
+
 async function fetchRecentVideosForChannel(channelId, maxResults = 10) {
-  if (!canMakeApiCall('search') || !canMakeApiCall('videos')) {
+  if (!canMakeApiCall('playlistItems') || !canMakeApiCall('videos')) {
     throw new Error('YouTube API quota limit reached');
   }
 
   try {
-    const url = `https://www.googleapis.com/youtube/v3/search?part=snippet&channelId=${channelId}&maxResults=${maxResults}&order=date&type=video&key=${YT_KEY}`;
-    const json = await fetchJson(url);
-    recordQuotaUsage('search');
+    const playlistId = await resolveUploadsPlaylistId(channelId);
+    const url = `https://www.googleapis.com/youtube/v3/playlistItems?part=contentDetails&playlistId=${playlistId}&maxResults=${maxResults}&key=${YT_KEY}`;
+    let json;
+    try {
+      json = await fetchJson(url);
+    } catch (e) {
+      if (e.message === 'HTTP 404') return []; // channel has never uploaded
+      throw e;
+    }
+    recordQuotaUsage('playlistItems');
     
     const items = json.items || [];
-    const ids = items.map((it) => it.id?.videoId).filter(Boolean);
+    const ids = items.map((it) => it.contentDetails?.videoId).filter(Boolean);
     if (!ids.length) return [];
 
-    // Fetch details for durations and better thumbnails
-    const detailsUrl = `https://www.googleapis.com/youtube/v3/videos?part=contentDetails,snippet&id=${ids.join(',')}&key=${YT_KEY}`;
-    const detailsJson = await fetchJson(detailsUrl);
-    recordQuotaUsage('videos');
-    
-    const byId = new Map(detailsJson.items.map((it) => [it.id, it]));
-
-    return ids
-      .map((id) => {
-        const d = byId.get(id);
-        if (!d) return null;
-        return {
-          id,
-          url: `https://www.youtube.com/watch?v=${id}`,
-          title: d.snippet?.title,
-          channel: {
-            id: d.snippet?.channelId,
-            name: d.snippet?.channelTitle,
-            avatar: null,
-          },
-          thumbnails: {
-            sm: d.snippet?.thumbnails?.medium?.url || d.snippet?.thumbnails?.default?.url,
-            md: d.snippet?.thumbnails?.high?.url || d.snippet?.thumbnails?.medium?.url,
-          },
-          durationSec: isoDurationToSeconds(d.contentDetails?.duration),
-          publishedAt: d.snippet?.publishedAt,
-        };
-      })
-      .filter(Boolean);
+    return await fetchVideoDetails(ids);
   } catch (e) {
     console.error('Failed to fetch videos for channel', channelId, e.message);
     throw e;
   }
 }
 
-// Track API quota usage
-let apiQuotaUsed = 0;
-let quotaResetTime = now() + 24 * 60 * 60 * 1000; // Reset daily
+// Fetch details for durations and better thumbnails, in the order of `ids`
+async function fetchVideoDetails(ids) {
+  const detailsUrl = `https://www.googleapis.com/youtube/v3/videos?part=contentDetails,snippet&id=${ids.join(',')}&key=${YT_KEY}`;
+  const detailsJson = await fetchJson(detailsUrl);
+  recordQuotaUsage('videos');
+  
+  const byId = new Map(detailsJson.items.map((it) => [it.id, it]));
+
+  return ids
+    .map((id) => {
+      const d = byId.get(id);
+      if (!d) return null;
+      return tagVideo({
+        id,
+        url: `https://www.youtube.com/watch?v=${id}`,
+        title: d.snippet?.title,
+        channel: {
+          id: d.snippet?.channelId,
+          name: d.snippet?.channelTitle,
+          avatar: null,
+        },
+        thumbnails: {
+          sm: d.snippet?.thumbnails?.medium?.url || d.snippet?.thumbnails?.default?.url,
+          md: d.snippet?.thumbnails?.high?.url || d.snippet?.thumbnails?.medium?.url,
+        },
+        durationSec: isoDurationToSeconds(d.contentDetails?.duration),
+        publishedAt: d.snippet?.publishedAt,
+      });
+    })
+    .filter(Boolean);
+}
+
+// YouTube quota accounting
+// Usage is kept per quota day (YouTube resets at midnight Pacific) and per
+// operation in the cache store, so it survives restarts and is shared between
+// instances on Redis. canMakeApiCall/recordQuotaUsage are the only entry
+// points; they read a local mirror that is re-synced from the store.
 const MAX_DAILY_QUOTA = 10000; // YouTube API default quota
 const QUOTA_SAFETY_MARGIN = 1000; // Reserve some quota
+const QUOTA_OPERATIONS = ['search', 'videos', 'channels', 'playlistItems'];
+const QUOTA_HISTORY_RETENTION = 90 * 24 * ONE_HOUR;
+const QUOTA_SYNC_INTERVAL = 60 * 1000;
+
+const pacificTime = new Intl.DateTimeFormat('en-CA', {
+  timeZone: 'America/Los_Angeles',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23',
+});
+
+function pacificParts(date) {
+  return Object.fromEntries(pacificTime.formatToParts(date).map((p) => [p.type, p.value]));
+}
+
+function youtubeQuotaDay(date = new Date()) {
+  const p = pacificParts(date);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+function nextQuotaReset(date = new Date()) {
+  const p = pacificParts(date);
+  const sinceMidnight = ((parseInt(p.hour, 10) * 60 + parseInt(p.minute, 10)) * 60 + parseInt(p.second, 10)) * 1000;
+  return new Date(date.getTime() - sinceMidnight - date.getMilliseconds() + 24 * ONE_HOUR);
+}
+
+const quotaKey = (day, operation) => `quota:youtube:${day}:${operation}`;
+
+let quotaState = { day: youtubeQuotaDay(), byOperation: {} }; // units used per operation
+
+function rollQuotaDay() {
+  const day = youtubeQuotaDay();
+  if (quotaState.day !== day) quotaState = { day, byOperation: {} };
+}
+
+function quotaUsed() {
+  return Object.values(quotaState.byOperation).reduce((sum, units) => sum + units, 0);
+}
 
 function estimateQuotaCost(operation) {
   const costs = {
     search: 100,
     videos: 1,
-    channels: 1
+    channels: 1,
+    playlistItems: 1
   };
   return costs[operation] || 1;
 }
 
-function canMakeApiCall(operation) {
-  if (now() > quotaResetTime) {
-    apiQuotaUsed = 0;
-    quotaResetTime = now() + 24 * 60 * 60 * 1000;
+// `operation` may be a list to check a combined batch, e.g. (['playlistItems', 'videos'], 15)
+function canMakeApiCall(operation, count = 1) {
+  rollQuotaDay();
+  const ops = Array.isArray(operation) ? operation : [operation];
+  const cost = ops.reduce((sum, op) => sum + estimateQuotaCost(op), 0) * count;
+  return (quotaUsed() + cost) < (MAX_DAILY_QUOTA - QUOTA_SAFETY_MARGIN);
+}
+
+function adoptStoredQuota(day, operation, stored) {
+  // Other instances' usage only ever raises the local figure
+  if (quotaState.day === day && stored > (quotaState.byOperation[operation] || 0)) {
+    quotaState.byOperation[operation] = stored;
   }
-  const cost = estimateQuotaCost(operation);
-  return (apiQuotaUsed + cost) < (MAX_DAILY_QUOTA - QUOTA_SAFETY_MARGIN);
 }
 
 function recordQuotaUsage(operation) {
-  apiQuotaUsed += estimateQuotaCost(operation);
-  console.log(`YouTube API quota used: ${apiQuotaUsed}/${MAX_DAILY_QUOTA}`);
+  rollQuotaDay();
+  const { day } = quotaState;
+  const units = estimateQuotaCost(operation);
+  quotaState.byOperation[operation] = (quotaState.byOperation[operation] || 0) + units;
+  console.log(`YouTube API quota used: ${quotaUsed()}/${MAX_DAILY_QUOTA}`);
+  cacheStore.incrBy(quotaKey(day, operation), units, QUOTA_HISTORY_RETENTION)
+    .then((total) => adoptStoredQuota(day, operation, total))
+    .catch((e) => console.warn('Quota store write failed', e.message));
+}
+
+async function syncQuotaFromStore() {
+  rollQuotaDay();
+  const { day } = quotaState;
+  const totals = await Promise.all(QUOTA_OPERATIONS.map((op) => cacheStore.get(quotaKey(day, op))));
+  QUOTA_OPERATIONS.forEach((op, i) => adoptStoredQuota(day, op, Number(totals[i]) || 0));
+}
+
+function startQuotaSync() {
+  defineJob('quotaSync', { interval: QUOTA_SYNC_INTERVAL, immediate: true, run: syncQuotaFromStore });
+}
+
+function quotaStatus() {
+  rollQuotaDay();
+  const used = quotaUsed();
+  return {
+    day: quotaState.day,
+    used,
+    max: MAX_DAILY_QUOTA,
+    remaining: MAX_DAILY_QUOTA - used,
+    resetTime: nextQuotaReset().toISOString(),
+    canMakeCall: canMakeApiCall('search'),
+    byOperation: Object.fromEntries(QUOTA_OPERATIONS.map((op) => [op, quotaState.byOperation[op] || 0])),
+  };
+}
+
+async function quotaHistory(days) {
+  const [y, m, d] = youtubeQuotaDay().split('-').map((n) => parseInt(n, 10));
+  const dayList = Array.from({ length: days }, (_, i) => isoDate(new Date(Date.UTC(y, m - 1, d - i))));
+  return Promise.all(dayList.map(async (day) => {
+    const totals = await Promise.all(QUOTA_OPERATIONS.map((op) => cacheStore.get(quotaKey(day, op))));
+    const byOperation = Object.fromEntries(QUOTA_OPERATIONS.map((op, i) => [op, Number(totals[i]) || 0]));
+    const used = Object.values(byOperation).reduce((sum, units) => sum + units, 0);
+    return { day, used, byOperation };
+  }));
+}
+
+// Earlier videos are kept when a refresh merges in new ones, so pages reach
+// further back than the latest uploads of each channel
+const VIDEOS_RETAINED_LIMIT = 300;
+const VIDEOS_PAGE_SIZE = 60;
+
+const videoSortKey = (v) => [-(Date.parse(v.publishedAt) || 0), `${v.id}`];
+
+function mergeVideoItems(items, extra, limit) {
+  const byId = new Map(items.map((v) => [v.id, v]));
+  for (const v of extra) if (!byId.has(v.id)) byId.set(v.id, v);
+  return [...byId.values()]
+    .sort((a, b) => compareCursorKeys(videoSortKey(a), videoSortKey(b)))
+    .slice(0, limit);
 }
 
+// Resolves to null for a handle that isn't an enabled channel
 async function getAggregatedVideos({ handle }) {
-  // Use per-handle cache if handle provided
+  // Per-handle lists are only fetched on request
   if (handle) {
     const key = handle.toLowerCase();
-    const entry = cache.videosByHandle.get(key);
+    const channel = (await getChannelConfig()).find((c) => c.handle.toLowerCase() === key);
+    if (!channel) return null;
+    const entry = await loadCachedMapEntry(cache.videosByHandle, key, `videos:${key}`);
     if (entry && entry.expires > now()) return entry.data;
-    
-    // Check quota before making API calls
-    if (!canMakeApiCall('search') || !canMakeApiCall('videos')) {
-      console.warn('YouTube API quota limit reached, serving stale data if available');
-      if (entry && entry.data) {
-        // Extend cache and serve stale data
-        cache.videosByHandle.set(key, { data: entry.data, expires: now() + TTL_VIDEOS });
-        return entry.data;
-      }
-      return { items: [], nextCursor: null };
-    }
-    
-    try {
-      const channelId = await resolveChannelIdFromHandle(handle);
-      const vids = await fetchRecentVideosForChannel(channelId, 12);
-      const sorted = vids.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
-      const data = { items: sorted, nextCursor: null };
-      cache.videosByHandle.set(key, { data, expires: now() + TTL_VIDEOS });
-      return data;
-    } catch (e) {
-      console.warn('Failed to fetch videos for handle', handle, e.message);
-      // Return stale data if available
-      if (entry && entry.data) return entry.data;
-      return { items: [], nextCursor: null };
+    return singleFlight(`videos:${key}`, () => refreshHandleVideos(channel, key, entry));
+  }
+
+  touchJob('videos');
+  cache.videosAll = await loadCacheEntry('videosAll', cache.videosAll);
+  return serveCached(cache.videosAll, 'videos', refreshVideos, TTL_VIDEOS);
+}
+
+async function refreshHandleVideos({ handle, videoLimit }, key, entry) {
+  // Check quota before making API calls
+  if (!canMakeApiCall('playlistItems') || !canMakeApiCall('videos')) {
+    console.warn('YouTube API quota limit reached, serving stale data if available');
+    if (entry && entry.data) {
+      // Extend cache and serve stale data
+      cache.videosByHandle.set(key, writeCacheEntry(`videos:${key}`, { data: entry.data, expires: now() + TTL_VIDEOS }));
+      return entry.data;
     }
+    return { items: [], nextCursor: null };
   }
 
-  if (cache.videosAll.data && cache.videosAll.expires > now()) return cache.videosAll.data;
+  try {
+    const channelId = await resolveChannelIdFromHandle(handle);
+    const vids = await fetchRecentVideosForChannel(channelId, videoLimit);
+    const previous = (entry?.data?.items || []).filter((v) => v.channel?.id === channelId);
+    const data = { items: mergeVideoItems(vids, previous, VIDEOS_RETAINED_LIMIT), nextCursor: null };
+    cache.videosByHandle.set(key, writeCacheEntry(`videos:${key}`, { data, expires: now() + TTL_VIDEOS }));
+    return data;
+  } catch (e) {
+    console.warn('Failed to fetch videos for handle', handle, e.message);
+    // Return stale data if available
+    if (entry && entry.data) return entry.data;
+    return { items: [], nextCursor: null };
+  }
+}
 
+async function refreshVideos() {
   // Check quota for bulk operation
-  const estimatedCost = CHANNEL_HANDLES.length * (estimateQuotaCost('search') + estimateQuotaCost('videos'));
-  if (apiQuotaUsed + estimatedCost > (MAX_DAILY_QUOTA - QUOTA_SAFETY_MARGIN)) {
+  const channels = await getChannelConfig();
+  if (!canMakeApiCall(['playlistItems', 'videos'], channels.length)) {
     console.warn('YouTube API quota limit reached, serving stale data if available');
     if (cache.videosAll.data) {
       // Extend cache and serve stale data
-      cache.videosAll = { data: cache.videosAll.data, expires: now() + TTL_VIDEOS };
+      cache.videosAll = writeCacheEntry('videosAll', { data: cache.videosAll.data, expires: now() + TTL_VIDEOS });
       return cache.videosAll.data;
     }
     return { items: [], nextCursor: null };
   }
 
   // Fetch top N per channel and merge with error handling
-  const perChannel = await runWithConcurrency(CHANNEL_HANDLES, 4, async (h) => {
+  const channelIds = new Set();
+  const perChannel = await runWithConcurrency(channels, 4, async ({ handle: h, videoLimit }) => {
     try {
       const id = await resolveChannelIdFromHandle(h);
-      const videos = await fetchRecentVideosForChannel(id, 6);
+      channelIds.add(id);
+      const videos = await fetchRecentVideosForChannel(id, videoLimit);
       return videos;
     } catch (e) {
       console.warn('Channel fetch failed', h, e.message);
@@ -430,11 +1144,10 @@ async function getAggregatedVideos({ handle }) {
     }
   });
 
-  const merged = perChannel.flat();
-  merged.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
-  const limited = merged.slice(0, 60);
-  const data = { items: limited, nextCursor: null };
-  cache.videosAll = { data, expires: now() + TTL_VIDEOS };
+  // Only keep earlier videos of channels that are still configured
+  const previous = (cache.videosAll.data?.items || []).filter((v) => channelIds.has(v.channel?.id));
+  const data = { items: mergeVideoItems(perChannel.flat(), previous, VIDEOS_RETAINED_LIMIT), nextCursor: null };
+  cache.videosAll = writeCacheEntry('videosAll', { data, expires: now() + TTL_VIDEOS });
   return data;
 }
 
@@ -446,15 +1159,30 @@ app.get('/', (_req, res) => {
     status: 'running',
     endpoints: {
       health: '/health',
-      videos: '/videos?handle=@premierleague (optional)',
+      videos: '/videos?handle=@premierleague&channel=&minDuration=&maxDuration=&limit=&cursor=',
       channels: '/channels',
-      news: '/news',
-      scores: '/scores?scope=live|today|upcoming',
+      news: '/news?source=&team=&since=&q=&limit=&cursor=',
+      newsSearch: '/news/search?q=&limit=&cursor=',
+      feed: '/feed?teams=&leagues=&limit=&cursor=',
+      scores: '/scores?scope=live|today|upcoming&league=&country=&team=&status=&from=&to=&limit=&cursor=',
+      scoresStream: '/scores/stream (Server-Sent Events)',
+      match: '/matches/:id',
+      matchPolls: '/matches/:id/polls?device=',
+      leagues: '/leagues',
+      standings: '/leagues/:id/standings?season=',
+      leagueFixtures: '/leagues/:id/fixtures?season=',
+      me: '/me (Bearer token)',
       polls: {
+        list: '/polls',
         active: '/polls/active',
         vote: 'POST /polls/:id/vote',
         results: '/polls/:id/results'
       },
+      predictions: {
+        predict: 'POST /predictions',
+        mine: '/predictions/mine?device=',
+        leaderboard: '/predictions/leaderboard?period=week|season&limit='
+      },
       admin: '/admin (requires secret)'
     }
   });
@@ -469,19 +1197,13 @@ app.get('/debug/youtube', asyncHandler(async (req, res) => {
   
   try {
     // Check quota status first
-    const quotaStatus = {
-      used: apiQuotaUsed,
-      max: MAX_DAILY_QUOTA,
-      remaining: MAX_DAILY_QUOTA - apiQuotaUsed,
-      resetTime: new Date(quotaResetTime).toISOString(),
-      canMakeCall: canMakeApiCall('search')
-    };
+    const quota = quotaStatus();
 
     if (!canMakeApiCall('search')) {
       return res.json({
         success: false,
         error: 'YouTube API quota limit reached',
-        quota: quotaStatus,
+        quota,
         suggestion: 'Wait for quota reset or increase daily quota limit'
       });
     }
@@ -493,7 +1215,7 @@ app.get('/debug/youtube', asyncHandler(async (req, res) => {
     
     res.json({ 
       success: true, 
-      quota: quotaStatus,
+      quota,
       channelFound: result.items?.length > 0,
       cacheStatus: {
         videosAll: cache.videosAll.data ? 'cached' : 'empty',
@@ -505,11 +1227,7 @@ app.get('/debug/youtube', asyncHandler(async (req, res) => {
   } catch (err) {
     res.status(500).json({ 
       error: err.message,
-      quota: {
-        used: apiQuotaUsed,
-        max: MAX_DAILY_QUOTA,
-        remaining: MAX_DAILY_QUOTA - apiQuotaUsed
-      },
+      quota: quotaStatus(),
       suggestion: 'Check YouTube API key and quota at https://console.cloud.google.com/apis/api/youtube.googleapis.com'
     });
   }
@@ -518,13 +1236,7 @@ app.get('/debug/youtube', asyncHandler(async (req, res) => {
 // Quota status endpoint
 app.get('/debug/quota', (req, res) => {
   res.json({
-    youtube: {
-      used: apiQuotaUsed,
-      max: MAX_DAILY_QUOTA,
-      remaining: MAX_DAILY_QUOTA - apiQuotaUsed,
-      resetTime: new Date(quotaResetTime).toISOString(),
-      canMakeCall: canMakeApiCall('search')
-    },
+    youtube: quotaStatus(),
     cache: {
       videosAll: {
         hasData: !!cache.videosAll.data,
@@ -537,22 +1249,42 @@ app.get('/debug/quota', (req, res) => {
         itemCount: cache.channelsList.data?.items?.length || 0
       },
       channelIds: cache.channelIdByHandle.size,
-      videosByHandle: cache.videosByHandle.size
+      videosByHandle: cache.videosByHandle.size,
+      store: cacheStore.name
     }
   });
 });
 }
 
+// `channel` takes handles, channel ids or channel names; durations are in seconds
+function filterVideos(items, { channel, minDuration, maxDuration }) {
+  const channels = splitList(channel).map((c) => (c.startsWith('@') ? cache.channelIdByHandle.get(c)?.id?.toLowerCase() || c : c));
+  return items.filter((v) => {
+    if (channels.length && !channels.includes(`${v.channel?.id}`.toLowerCase()) && !channels.includes(`${v.channel?.name}`.toLowerCase())) return false;
+    if (minDuration !== undefined && !(v.durationSec >= minDuration)) return false;
+    if (maxDuration !== undefined && !(v.durationSec <= maxDuration)) return false;
+    return true;
+  });
+}
+
 app.get('/videos', [
   query('handle').optional().isString().trim().isLength({ max: 100 }),
+  query('channel').optional().isString().trim().isLength({ max: 500 }),
+  query('minDuration').optional().isInt({ min: 0 }).toInt(),
+  query('maxDuration').optional().isInt({ min: 0 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('cursor').optional().isString().custom((c) => decodeCursor(c) !== null),
   handleValidation
 ], asyncHandler(async (req, res) => {
   try {
     if (!YT_KEY) return res.status(500).json({ error: 'Server missing YOUTUBE_API_KEY' });
     const handle = req.query.handle;
     const data = await getAggregatedVideos({ handle });
+    if (!data) return res.status(404).json({ error: 'Channel not found' });
+    const filtered = filterVideos(data.items || [], req.query);
+    const page = paginate(filtered, { cursor: req.query.cursor, limit: req.query.limit || VIDEOS_PAGE_SIZE, keyOf: videoSortKey });
     res.set('Cache-Control', 'public, max-age=600, stale-while-revalidate=300');
-    res.json(data);
+    res.json(page);
   } catch (e) {
     console.error('Videos error:', e.message);
     res.status(500).json({ error: 'Failed to fetch videos' });
@@ -571,32 +1303,317 @@ app.get('/channels', async (_req, res) => {
   }
 });
 
-// RSS aggregation
-const RSS_FEEDS = [
-  { url: 'https://www.fifa.com/rss-feeds/news', source: 'FIFA' },
-  { url: 'https://www.goal.com/feeds/en/news', source: 'Goal' },
-  { url: 'https://www.skysports.com/rss/12040', source: 'Sky Sports Football' },
-  { url: 'https://www.espn.com/espn/rss/soccer/news', source: 'ESPN FC' },
-  { url: 'https://www.si.com/rss/section/soccer', source: 'Sports Illustrated' },
-  { url: 'https://www.bbc.com/sport/football/rss.xml', source: 'BBC Football' },
-  { url: 'https://www.theguardian.com/football/rss', source: 'The Guardian Football' },
-  { url: 'https://feeds.reuters.com/reuters/soccerNews', source: 'Reuters Soccer' },
-  { url: 'https://www.independent.co.uk/sport/football/rss', source: 'The Independent Football' },
-  { url: 'https://rss.nytimes.com/services/xml/rss/nyt/Soccer.xml', source: 'NYTimes Soccer' },
-  { url: 'https://www.premierleague.com/news.rss', source: 'Premier League' },
-  { url: 'https://feeds.bbci.co.uk/sport/football/rss.xml', source: 'BBC Football' },
-  { url: 'https://www.liverpoolfc.com/news/rss.xml', source: 'Liverpool FC' },
-  { url: 'https://www.manutd.com/rss/news', source: 'Man Utd' },
-  { url: 'https://www.arsenal.com/rss-news-feed', source: 'Arsenal' },
-  { url: 'https://www.chelseafc.com/en/rss/news', source: 'Chelsea' },
-  { url: 'https://www.tottenhamhotspur.com/feeds/rss/news.xml', source: 'Tottenham' },
-  { url: 'https://www.evertonfc.com/rss.xml', source: 'Everton' },
-  { url: 'https://www.westhamunited.com/rss.xml', source: 'West Ham' },
-  { url: 'https://www.mancity.com/news.rss', source: 'Man City' },
-  { url: 'https://www.realmadrid.com/en/rss/rss.xml', source: 'Real Madrid' },
-  { url: 'https://www.fcbarcelona.com/feeds/rss/news', source: 'FC Barcelona' },
-  { url: 'https://www.acmilan.com/en/news/rss.xml', source: 'AC Milan' },
-  { url: 'https://www.inter.it/en/rss.xml', source: 'Inter' },
+// YouTube WebSub (PubSubHubbub) push for new uploads
+// Every enabled channel is subscribed at the hub; YouTube then
+// POSTs an Atom entry to /websub/youtube as soon as a video is published and
+// it goes straight into the video caches. Leases are renewed by an hourly
+// sweep. Point WEBSUB_HUB_URL at scripts/fake-websub-hub.js to exercise the
+// flow offline. WEBSUB_SECRET signs notifications and must outlive restarts,
+// or the hub keeps signing with a secret this process no longer knows.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+const WEBSUB_HUB_URL = process.env.WEBSUB_HUB_URL || 'https://pubsubhubbub.appspot.com/subscribe';
+const WEBSUB_SECRET = process.env.WEBSUB_SECRET || '';
+const WEBSUB_ENABLED = !!(PUBLIC_BASE_URL && WEBSUB_SECRET);
+const WEBSUB_LEASE_SECONDS = 5 * 24 * 60 * 60;
+const WEBSUB_RENEW_BEFORE = 12 * ONE_HOUR;
+const WEBSUB_SWEEP_INTERVAL = ONE_HOUR;
+
+const websub = {
+  subscriptions: new Map(), // topic -> { channelId, handle, status, requestedAt, leaseExpires }
+};
+
+const websubParser = new Parser({ customFields: { item: ['yt:videoId', 'yt:channelId'] } });
+
+function websubTopic(channelId) {
+  return `https://www.youtube.com/xml/feeds/videos.xml?channel_id=${channelId}`;
+}
+
+async function requestWebSubSubscription(sub, topic, mode = 'subscribe') {
+  const form = new URLSearchParams({
+    'hub.callback': `${PUBLIC_BASE_URL}/websub/youtube`,
+    'hub.topic': topic,
+    'hub.verify': 'async',
+    'hub.mode': mode,
+    'hub.lease_seconds': `${WEBSUB_LEASE_SECONDS}`,
+    'hub.secret': WEBSUB_SECRET,
+  });
+  const res = await fetch(WEBSUB_HUB_URL, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: form.toString(),
+  });
+  if (res.status !== 202 && res.status !== 204) throw new Error(`hub ${res.status}`);
+  sub.status = mode === 'subscribe' ? 'pending' : 'unsubscribing';
+  sub.requestedAt = now();
+}
+
+async function subscribeChannel(handle) {
+  const channelId = await resolveChannelIdFromHandle(handle);
+  const topic = websubTopic(channelId);
+  const sub = websub.subscriptions.get(topic) || { channelId, handle, status: 'new', requestedAt: 0, leaseExpires: 0 };
+  websub.subscriptions.set(topic, sub);
+  await requestWebSubSubscription(sub, topic);
+}
+
+// Subscribes new channels, drops removed ones, renews leases close to expiry and
+// retries verifications that never arrived. A removed channel is unsubscribed
+// once; if the hub never confirms, the entry is forgotten when its lease runs out.
+async function sweepWebSubSubscriptions() {
+  const nowMs = now();
+  const channels = await getChannelConfig();
+  const handles = new Set(channels.map((c) => c.handle));
+  for (const [topic, sub] of websub.subscriptions) {
+    if (handles.has(sub.handle)) continue;
+    if (sub.status === 'unsubscribing') {
+      if (sub.leaseExpires <= nowMs) websub.subscriptions.delete(topic);
+      continue;
+    }
+    requestWebSubSubscription(sub, topic, 'unsubscribe')
+      .catch((e) => console.warn('WebSub unsubscribe failed', sub.handle, e.message));
+  }
+  await runWithConcurrency([...handles], 2, async (handle) => {
+    try {
+      const sub = [...websub.subscriptions.values()].find((s) => s.handle === handle);
+      const due = !sub
+        || sub.status === 'unsubscribing'
+        || (sub.status === 'active' && sub.leaseExpires - nowMs < WEBSUB_RENEW_BEFORE)
+        || (sub.status !== 'active' && nowMs - sub.requestedAt > ONE_HOUR);
+      if (due) await subscribeChannel(handle);
+    } catch (e) {
+      console.warn('WebSub subscribe failed', handle, e.message);
+    }
+  });
+}
+
+function startWebSub() {
+  if (!PUBLIC_BASE_URL) {
+    console.warn('Warning: PUBLIC_BASE_URL is not set, YouTube WebSub push disabled');
+    return;
+  }
+  if (!WEBSUB_SECRET) {
+    console.error('WEBSUB_SECRET must be set when PUBLIC_BASE_URL is set; YouTube WebSub push disabled');
+    return;
+  }
+  defineJob('websubSweep', { interval: WEBSUB_SWEEP_INTERVAL, immediate: true, run: sweepWebSubSubscriptions });
+}
+
+function verifyWebSubSignature(rawBody, header) {
+  if (!WEBSUB_SECRET) return false;
+  const [algo, signature] = `${header || ''}`.split('=');
+  if (!signature || !['sha1', 'sha256'].includes(algo)) return false;
+  const expected = crypto.createHmac(algo, WEBSUB_SECRET).update(rawBody).digest('hex');
+  const a = Buffer.from(signature, 'utf8');
+  const b = Buffer.from(expected, 'utf8');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function mergeVideosIntoCache(key, entry, videos) {
+  if (!entry || !entry.data) return entry;
+  const items = mergeVideoItems(videos, entry.data.items, VIDEOS_RETAINED_LIMIT);
+  return writeCacheEntry(key, { data: { ...entry.data, items }, expires: entry.expires });
+}
+
+function removeVideoFromCaches(videoId) {
+  const strip = (key, entry) => (entry && entry.data
+    ? writeCacheEntry(key, { data: { ...entry.data, items: entry.data.items.filter((v) => v.id !== videoId) }, expires: entry.expires })
+    : entry);
+  cache.videosAll = strip('videosAll', cache.videosAll);
+  for (const [handleKey, entry] of cache.videosByHandle) {
+    cache.videosByHandle.set(handleKey, strip(`videos:${handleKey}`, entry));
+  }
+}
+
+async function ingestWebSubNotification(xml) {
+  // Deletions arrive as <at:deleted-entry ref="yt:video:VIDEO_ID">
+  for (const m of xml.matchAll(/<at:deleted-entry[^>]*ref="yt:video:([\w-]+)"/g)) removeVideoFromCaches(m[1]);
+
+  const feed = await websubParser.parseString(xml);
+  const ids = (feed.items || []).map((it) => it['yt:videoId']).filter(Boolean);
+  if (!ids.length) return;
+  if (!canMakeApiCall('videos')) {
+    console.warn('YouTube API quota limit reached, skipping WebSub ingest for', ids.join(','));
+    return;
+  }
+  const videos = await fetchVideoDetails(ids);
+  if (!videos.length) return;
+
+  cache.videosAll = mergeVideosIntoCache('videosAll', cache.videosAll, videos);
+  for (const [handleKey, entry] of cache.channelIdByHandle) {
+    const forChannel = videos.filter((v) => v.channel.id === entry.id);
+    if (!forChannel.length) continue;
+    cache.videosByHandle.set(handleKey, mergeVideosIntoCache(`videos:${handleKey}`, cache.videosByHandle.get(handleKey), forChannel));
+  }
+  console.log('WebSub ingested', videos.map((v) => v.id).join(','));
+}
+
+// Hub verification of (un)subscribe requests
+app.get('/websub/youtube', (req, res) => {
+  const mode = req.query['hub.mode'];
+  const topic = req.query['hub.topic'];
+  const challenge = req.query['hub.challenge'];
+  const sub = websub.subscriptions.get(topic);
+  if (!sub || !challenge || !['subscribe', 'unsubscribe'].includes(mode)) return res.status(404).end();
+  if (mode === 'subscribe') {
+    const requested = Number(req.query['hub.lease_seconds']);
+    const lease = Number.isInteger(requested) && requested > 0 ? requested : WEBSUB_LEASE_SECONDS;
+    sub.status = 'active';
+    sub.leaseExpires = now() + lease * 1000;
+  } else {
+    websub.subscriptions.delete(topic);
+  }
+  res.type('text/plain').send(`${challenge}`);
+});
+
+app.post('/websub/youtube', express.text({ type: ['application/atom+xml', 'application/xml', 'text/xml'], limit: '256kb' }), (req, res) => {
+  // Always acknowledge; the hub retries on errors, which would only repeat a bad payload
+  res.status(204).end();
+  const xml = typeof req.body === 'string' ? req.body : '';
+  if (!xml) return;
+  if (!verifyWebSubSignature(xml, req.headers['x-hub-signature'])) {
+    console.warn('WebSub notification with invalid signature ignored');
+    return;
+  }
+  ingestWebSubNotification(xml).catch((e) => console.warn('WebSub ingest failed', e.message));
+});
+
+// Team and league tagging
+// News, videos and fixtures are tagged with ids from this dictionary so
+// /feed can personalise across all three. Aliases are matched as whole words
+// against accent-stripped, lowercased text; `channels` ties a club's own
+// YouTube channel to the team. A team mention also tags the team's league.
+const LEAGUE_TAGS = [
+  { id: 'premier-league', name: 'Premier League', country: 'England', aliases: ['premier league', 'epl'] },
+  { id: 'la-liga', name: 'La Liga', country: 'Spain', aliases: ['la liga', 'laliga', 'primera division'] },
+  { id: 'serie-a', name: 'Serie A', country: 'Italy', aliases: ['serie a'] },
+  { id: 'bundesliga', name: 'Bundesliga', country: 'Germany', aliases: ['bundesliga'] },
+  { id: 'ligue-1', name: 'Ligue 1', country: 'France', aliases: ['ligue 1', 'ligue un'] },
+  { id: 'champions-league', name: 'UEFA Champions League', aliases: ['champions league', 'ucl'] },
+  { id: 'europa-league', name: 'UEFA Europa League', aliases: ['europa league', 'uel'] },
+  { id: 'world-cup', name: 'FIFA World Cup', aliases: ['world cup'] },
+];
+
+const TEAM_TAGS = [
+  { id: 'arsenal', name: 'Arsenal', league: 'premier-league', aliases: ['arsenal', 'gunners'], channels: ['@arsenal'] },
+  { id: 'aston-villa', name: 'Aston Villa', league: 'premier-league', aliases: ['aston villa', 'avfc'] },
+  { id: 'chelsea', name: 'Chelsea', league: 'premier-league', aliases: ['chelsea', 'cfc'], channels: ['@chelseafc'] },
+  { id: 'everton', name: 'Everton', league: 'premier-league', aliases: ['everton', 'toffees'] },
+  { id: 'liverpool', name: 'Liverpool', league: 'premier-league', aliases: ['liverpool', 'lfc'], channels: ['@liverpoolfc'] },
+  { id: 'manchester-city', name: 'Manchester City', league: 'premier-league', aliases: ['manchester city', 'man city', 'mcfc'], channels: ['@mancity'] },
+  { id: 'manchester-united', name: 'Manchester United', league: 'premier-league', aliases: ['manchester united', 'man utd', 'man united', 'mufc', 'red devils'] },
+  { id: 'newcastle-united', name: 'Newcastle United', league: 'premier-league', aliases: ['newcastle', 'nufc', 'magpies'] },
+  { id: 'tottenham-hotspur', name: 'Tottenham Hotspur', league: 'premier-league', aliases: ['tottenham', 'spurs', 'thfc'] },
+  { id: 'west-ham-united', name: 'West Ham United', league: 'premier-league', aliases: ['west ham', 'hammers', 'whufc'] },
+  { id: 'real-madrid', name: 'Real Madrid', league: 'la-liga', aliases: ['real madrid', 'los blancos', 'rmcf'], channels: ['@realmadrid'] },
+  { id: 'barcelona', name: 'FC Barcelona', league: 'la-liga', aliases: ['barcelona', 'barca'], channels: ['@fcbarcelona'] },
+  { id: 'atletico-madrid', name: 'Atletico Madrid', league: 'la-liga', aliases: ['atletico madrid', 'atletico', 'atleti'] },
+  { id: 'sevilla', name: 'Sevilla', league: 'la-liga', aliases: ['sevilla'] },
+  { id: 'ac-milan', name: 'AC Milan', league: 'serie-a', aliases: ['ac milan', 'rossoneri'], channels: ['@acmilan'] },
+  { id: 'inter', name: 'Inter', league: 'serie-a', aliases: ['inter milan', 'internazionale', 'nerazzurri'] },
+  { id: 'juventus', name: 'Juventus', league: 'serie-a', aliases: ['juventus', 'juve', 'bianconeri'], channels: ['@juventus'] },
+  { id: 'napoli', name: 'Napoli', league: 'serie-a', aliases: ['napoli'] },
+  { id: 'roma', name: 'AS Roma', league: 'serie-a', aliases: ['as roma', 'roma'] },
+  { id: 'bayern-munich', name: 'Bayern Munich', league: 'bundesliga', aliases: ['bayern munich', 'bayern munchen', 'bayern'] },
+  { id: 'borussia-dortmund', name: 'Borussia Dortmund', league: 'bundesliga', aliases: ['borussia dortmund', 'dortmund', 'bvb'] },
+  { id: 'bayer-leverkusen', name: 'Bayer Leverkusen', league: 'bundesliga', aliases: ['bayer leverkusen', 'leverkusen'] },
+  { id: 'rb-leipzig', name: 'RB Leipzig', league: 'bundesliga', aliases: ['rb leipzig', 'leipzig'] },
+  { id: 'paris-saint-germain', name: 'Paris Saint-Germain', league: 'ligue-1', aliases: ['paris saint germain', 'paris sg', 'psg'] },
+  { id: 'marseille', name: 'Marseille', league: 'ligue-1', aliases: ['olympique de marseille', 'marseille'] },
+  { id: 'lyon', name: 'Lyon', league: 'ligue-1', aliases: ['olympique lyonnais', 'lyon'] },
+  { id: 'monaco', name: 'Monaco', league: 'ligue-1', aliases: ['monaco'] },
+];
+
+function normalizeTagText(text) {
+  return `${text || ''}`.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\p{L}\p{N}]+/gu, ' ');
+}
+
+// Whole-word matcher for all aliases of one entry
+function aliasMatcher(aliases) {
+  const alternatives = aliases.map((a) => normalizeTagText(a).trim().replace(/ /g, '\\s+'));
+  return new RegExp(`(?:^|\\s)(?:${alternatives.join('|')})(?=\\s|$)`);
+}
+
+const leagueMatchers = LEAGUE_TAGS.map((l) => ({ ...l, re: aliasMatcher([l.name, ...l.aliases]) }));
+const teamMatchers = TEAM_TAGS.map((t) => ({ ...t, re: aliasMatcher([t.name, ...t.aliases]) }));
+const teamLeague = new Map(TEAM_TAGS.map((t) => [t.id, t.league]));
+
+function tagText(...texts) {
+  const text = ` ${texts.map(normalizeTagText).join(' ')} `;
+  const teams = teamMatchers.filter((t) => t.re.test(text)).map((t) => t.id);
+  const leagues = new Set(leagueMatchers.filter((l) => l.re.test(text)).map((l) => l.id));
+  for (const id of teams) leagues.add(teamLeague.get(id));
+  return { teams, leagues: [...leagues] };
+}
+
+function tagNewsItem(item) {
+  return { ...item, ...tagText(item.title, item.summary) };
+}
+
+// Titles plus channel identity: a club channel tags its team, a channel's
+// configured leagues tag those competitions
+function tagVideo(video) {
+  const tags = tagText(video.title);
+  const handle = [...cache.channelIdByHandle].find(([, e]) => e.id === video.channel?.id)?.[0];
+  if (handle) {
+    for (const t of TEAM_TAGS) {
+      if (t.channels?.includes(handle) && !tags.teams.includes(t.id)) tags.teams.push(t.id);
+    }
+    const config = (channelConfig.data || defaultChannelConfig()).find((c) => c.handle.toLowerCase() === handle);
+    for (const id of [...tags.teams.map((t) => teamLeague.get(t)), ...tagText(...(config?.leagues || [])).leagues]) {
+      if (!tags.leagues.includes(id)) tags.leagues.push(id);
+    }
+  }
+  return { ...video, ...tags };
+}
+
+// Fixtures carry clean names, so country disambiguates same-named leagues
+function tagMatch(m) {
+  const teams = teamMatchers.filter((t) => [m.home?.name, m.away?.name].some((n) => t.re.test(` ${normalizeTagText(n)} `))).map((t) => t.id);
+  const leagueText = ` ${normalizeTagText(m.league)} `;
+  const leagues = new Set(leagueMatchers
+    .filter((l) => l.re.test(leagueText) && (!l.country || !m.country || l.country.toLowerCase() === `${m.country}`.toLowerCase()))
+    .map((l) => l.id));
+  for (const id of teams) leagues.add(teamLeague.get(id));
+  return { teams, leagues: [...leagues] };
+}
+
+// Accepts ids or any alias, e.g. "Man Utd" -> manchester-united
+function resolveTagIds(values, matchers) {
+  const ids = new Set();
+  for (const v of splitList(values)) {
+    const exact = matchers.find((m) => m.id === v);
+    if (exact) { ids.add(exact.id); continue; }
+    const text = ` ${normalizeTagText(v)} `;
+    for (const m of matchers) if (m.re.test(text)) ids.add(m.id);
+  }
+  return [...ids];
+}
+
+// RSS aggregation
+// Default feeds, seeded into the `rss_feeds` table and used when Supabase is not configured
+const RSS_FEEDS = [
+  { url: 'https://www.fifa.com/rss-feeds/news', source: 'FIFA' },
+  { url: 'https://www.goal.com/feeds/en/news', source: 'Goal' },
+  { url: 'https://www.skysports.com/rss/12040', source: 'Sky Sports Football' },
+  { url: 'https://www.espn.com/espn/rss/soccer/news', source: 'ESPN FC' },
+  { url: 'https://www.si.com/rss/section/soccer', source: 'Sports Illustrated' },
+  { url: 'https://www.theguardian.com/football/rss', source: 'The Guardian Football' },
+  { url: 'https://feeds.reuters.com/reuters/soccerNews', source: 'Reuters Soccer' },
+  { url: 'https://www.independent.co.uk/sport/football/rss', source: 'The Independent Football' },
+  { url: 'https://rss.nytimes.com/services/xml/rss/nyt/Soccer.xml', source: 'NYTimes Soccer' },
+  { url: 'https://www.premierleague.com/news.rss', source: 'Premier League' },
+  { url: 'https://feeds.bbci.co.uk/sport/football/rss.xml', source: 'BBC Football' },
+  { url: 'https://www.liverpoolfc.com/news/rss.xml', source: 'Liverpool FC' },
+  { url: 'https://www.manutd.com/rss/news', source: 'Man Utd' },
+  { url: 'https://www.arsenal.com/rss-news-feed', source: 'Arsenal' },
+  { url: 'https://www.chelseafc.com/en/rss/news', source: 'Chelsea' },
+  { url: 'https://www.tottenhamhotspur.com/feeds/rss/news.xml', source: 'Tottenham' },
+  { url: 'https://www.evertonfc.com/rss.xml', source: 'Everton' },
+  { url: 'https://www.westhamunited.com/rss.xml', source: 'West Ham' },
+  { url: 'https://www.mancity.com/news.rss', source: 'Man City' },
+  { url: 'https://www.realmadrid.com/en/rss/rss.xml', source: 'Real Madrid' },
+  { url: 'https://www.fcbarcelona.com/feeds/rss/news', source: 'FC Barcelona' },
+  { url: 'https://www.acmilan.com/en/news/rss.xml', source: 'AC Milan' },
+  { url: 'https://www.inter.it/en/rss.xml', source: 'Inter' },
   { url: 'https://www.juventus.com/en/news/rss.xml', source: 'Juventus' },
   { url: 'https://fcbayern.com/en/news/rss.xml', source: 'Bayern' },
   { url: 'https://www.bundesliga.com/en/news/rssfeed', source: 'Bundesliga' },
@@ -607,6 +1624,120 @@ const RSS_FEEDS = [
 
 const parser = new Parser({ timeout: 10000 });
 
+// file:// URLs let fixture feeds be aggregated offline
+function parseFeed(url) {
+  if (url.startsWith('file:')) return parser.parseString(fs.readFileSync(new URL(url), 'utf8'));
+  return parser.parseURL(url);
+}
+
+// Feed registry
+// Managed through /admin/feeds in the Supabase `rss_feeds` table; falls back
+// to RSS_FEEDS (or the JSON list in RSS_FEEDS_FILE) when Supabase is not
+// configured or unreachable. Each refresh
+// records per-feed health, and a feed that fails RSS_FEED_FAILURE_LIMIT times
+// in a row is disabled until an admin re-enables it.
+const TTL_FEED_CONFIG = 5 * 60 * 1000;
+const RSS_FEED_FAILURE_LIMIT = parseInt(process.env.RSS_FEED_FAILURE_LIMIT || '5', 10);
+
+let feedConfig = { data: null, expires: 0 };
+
+function toFeedConfig(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    source: row.source,
+    enabled: row.enabled,
+    consecutiveFailures: row.consecutive_failures || 0,
+    lastSuccessAt: row.last_success_at || null,
+    lastErrorAt: row.last_error_at || null,
+    lastError: row.last_error || null,
+    itemCount: row.item_count ?? null,
+    avgLatencyMs: row.avg_latency_ms ?? null,
+    disabledReason: row.disabled_reason || null,
+  };
+}
+
+// A JSON list of { url, source }; relative urls resolve against the file's
+// directory. An unreadable or malformed file falls back to RSS_FEEDS.
+function loadFeedsFile(file) {
+  try {
+    const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(list)) throw new Error('expected a JSON array of { "url", "source" } feeds');
+    const base = pathToFileURL(path.resolve(file));
+    return list.map((f, i) => {
+      if (typeof f?.url !== 'string' || !f.url || typeof f.source !== 'string' || !f.source) {
+        throw new Error(`feed ${i} needs a "url" and a "source"`);
+      }
+      return { ...f, url: new URL(f.url, base).href };
+    });
+  } catch (e) {
+    console.error(`RSS_FEEDS_FILE ${file} is invalid, using the default feeds:`, e.message);
+    return RSS_FEEDS;
+  }
+}
+
+// Kept across refreshes so health is still tracked without Supabase
+const RSS_FEEDS_FILE = process.env.RSS_FEEDS_FILE;
+const defaultFeeds = (RSS_FEEDS_FILE ? loadFeedsFile(RSS_FEEDS_FILE) : RSS_FEEDS).map((f) => toFeedConfig({ id: null, enabled: true, ...f }));
+
+// Enabled feeds
+async function getFeedConfig() {
+  if (feedConfig.data && feedConfig.expires > now()) return feedConfig.data;
+  if (!supabaseAdmin) return defaultFeeds.filter((f) => f.enabled);
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('rss_feeds')
+      .select('*')
+      .eq('enabled', true)
+      .order('source', { ascending: true });
+    if (error) throw error;
+    feedConfig = { data: data.map(toFeedConfig), expires: now() + TTL_FEED_CONFIG };
+  } catch (e) {
+    console.warn('Feed config load failed', e.message);
+    return feedConfig.data || defaultFeeds.filter((f) => f.enabled);
+  }
+  return feedConfig.data;
+}
+
+function invalidateFeedCaches() {
+  feedConfig.expires = 0;
+  if (cache.newsAll.data) cache.newsAll = writeCacheEntry('newsAll', { ...cache.newsAll, expires: 0 });
+}
+
+// Updates the feed in place and persists it; latency is a moving average
+async function recordFeedResult(feed, { latencyMs, itemCount, error }) {
+  const at = new Date().toISOString();
+  feed.avgLatencyMs = feed.avgLatencyMs == null ? latencyMs : Math.round(feed.avgLatencyMs * 0.8 + latencyMs * 0.2);
+  if (error) {
+    feed.consecutiveFailures += 1;
+    feed.lastErrorAt = at;
+    feed.lastError = String(error).slice(0, 500);
+    if (feed.consecutiveFailures >= RSS_FEED_FAILURE_LIMIT) {
+      feed.enabled = false;
+      feed.disabledReason = `Disabled after ${feed.consecutiveFailures} consecutive failures`;
+      feedConfig.expires = 0;
+      console.warn('RSS feed disabled', feed.url, feed.lastError);
+    }
+  } else {
+    feed.consecutiveFailures = 0;
+    feed.lastSuccessAt = at;
+    feed.itemCount = itemCount;
+  }
+  if (!supabaseAdmin || !feed.id) return;
+  const row = {
+    enabled: feed.enabled,
+    consecutive_failures: feed.consecutiveFailures,
+    last_success_at: feed.lastSuccessAt,
+    last_error_at: feed.lastErrorAt,
+    last_error: feed.lastError,
+    item_count: feed.itemCount,
+    avg_latency_ms: feed.avgLatencyMs,
+    disabled_reason: feed.disabledReason,
+  };
+  const { error: dbErr } = await supabaseAdmin.from('rss_feeds').update(row).eq('id', feed.id);
+  if (dbErr) console.warn('Feed health update failed', feed.url, dbErr.message);
+}
+
 function getImageFromItem(item) {
   if (item?.enclosure?.url) return item.enclosure.url;
   const media = item?.['media:content'] || item?.media || item?.image;
@@ -617,13 +1748,144 @@ function getImageFromItem(item) {
   return null;
 }
 
+// Same article, same key: https, no www., no fragment, tracking params or trailing slash
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|ocid|cmpid|ref|at_\w+)$/i;
+const CANONICAL_HOSTS = { 'bbc.co.uk': 'bbc.com' };
+
+function canonicalizeUrl(raw) {
+  try {
+    const u = new URL(raw);
+    u.protocol = 'https:';
+    const host = u.hostname.toLowerCase().replace(/^www\./, '');
+    u.hostname = CANONICAL_HOSTS[host] || host;
+    u.hash = '';
+    for (const key of [...u.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) u.searchParams.delete(key);
+    }
+    u.searchParams.sort();
+    if (u.pathname.length > 1) u.pathname = u.pathname.replace(/\/+$/, '');
+    return u.toString();
+  } catch (e) {
+    return null;
+  }
+}
+
+// Story clustering
+// Articles about the same story from different sources are grouped by MinHash
+// similarity of their title and summary words. Every article gets a
+// `storyId`; /news then shows one lead per story with `relatedSources`.
+// Hashing uses fixed seeds, so the same input always clusters the same way.
+const STORY_MINHASH_SIZE = 64;
+const STORY_SIMILARITY = 0.4;
+const STORY_WINDOW = 48 * ONE_HOUR;
+const STORY_SUMMARY_WORDS = 30;
+const STORY_STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'has', 'have', 'was', 'were', 'are', 'his', 'her',
+  'their', 'they', 'will', 'after', 'before', 'over', 'into', 'out', 'but', 'not', 'been', 'its', 'who',
+  'what', 'when', 'how', 'why', 'says', 'said', 'new', 'more', 'than', 'about', 'could', 'would', 'can',
+]);
+
+// murmur3 finalizer
+function mix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) h = Math.imul(h ^ str.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+
+const MINHASH_SEEDS = Array.from({ length: STORY_MINHASH_SIZE }, (_, i) => mix32(i + 1));
+
+function storyWords(item) {
+  const words = (text) => `${text || ''}`.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w.length > 2 && !STORY_STOPWORDS.has(w));
+  return new Set([...words(item.title), ...words(item.summary).slice(0, STORY_SUMMARY_WORDS)]);
+}
+
+function minhashSignature(words) {
+  const hashes = [...words].map(hashString);
+  return MINHASH_SEEDS.map((seed) => hashes.reduce((min, h) => Math.min(min, mix32(h ^ seed)), 0xffffffff));
+}
+
+function signatureSimilarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+}
+
+// Returns copies of `items` with `storyId` set to the id of the oldest article in each story
+function clusterNewsItems(items) {
+  const entries = items.map((item) => {
+    const words = storyWords(item);
+    return { item, ts: Date.parse(item.publishedAt) || 0, sig: words.size ? minhashSignature(words) : null };
+  });
+  const parent = entries.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < entries.length; i++) {
+    if (!entries[i].sig) continue;
+    for (let j = i + 1; j < entries.length; j++) {
+      if (!entries[j].sig || Math.abs(entries[i].ts - entries[j].ts) > STORY_WINDOW) continue;
+      if (signatureSimilarity(entries[i].sig, entries[j].sig) >= STORY_SIMILARITY) parent[find(j)] = find(i);
+    }
+  }
+  const oldest = new Map();
+  entries.forEach((e, i) => {
+    const root = find(i);
+    const current = oldest.get(root);
+    if (!current || compareCursorKeys(newsSortKey(e.item), newsSortKey(current)) > 0) oldest.set(root, e.item);
+  });
+  return entries.map((e, i) => ({ ...e.item, storyId: oldest.get(find(i)).id }));
+}
+
+// One lead per story: the newest article with an image, else the newest.
+// `items` must be sorted by newsSortKey.
+function groupStories(items) {
+  const stories = new Map();
+  for (const item of items) {
+    const key = item.storyId || item.id;
+    if (!stories.has(key)) stories.set(key, []);
+    stories.get(key).push(item);
+  }
+  return [...stories.values()]
+    .map((members) => {
+      const lead = members.find((m) => m.image) || members[0];
+      const relatedSources = members
+        .filter((m) => m !== lead)
+        .map((m) => ({ source: m.source, url: m.url, title: m.title, publishedAt: m.publishedAt }));
+      return { ...lead, relatedSources };
+    })
+    .sort((a, b) => compareCursorKeys(newsSortKey(a), newsSortKey(b)));
+}
+
+// As with videos, earlier articles are kept across refreshes
+const NEWS_RETAINED_LIMIT = 500;
+const NEWS_PAGE_SIZE = 150;
+
+const newsSortKey = (n) => [-(Date.parse(n.publishedAt) || 0), `${n.id}`];
+
 async function aggregateNews() {
-  if (cache.newsAll.data && cache.newsAll.expires > now()) return cache.newsAll.data;
+  touchJob('news');
+  cache.newsAll = await loadCacheEntry('newsAll', cache.newsAll);
+  return serveCached(cache.newsAll, 'news', refreshNews, TTL_NEWS);
+}
+
+async function refreshNews() {
   const results = [];
+  const feeds = await getFeedConfig();
   await Promise.all(
-    RSS_FEEDS.map(async (f) => {
+    feeds.map(async (f) => {
+      const started = Date.now();
+      let outcome;
       try {
-        const feed = await parser.parseURL(f.url);
+        const feed = await parseFeed(f.url);
         for (const it of feed.items || []) {
           results.push({
             id: it.link || `${f.source}:${it.guid || it.title}`,
@@ -635,33 +1897,164 @@ async function aggregateNews() {
             summary: it.contentSnippet || it.summary || null,
           });
         }
+        outcome = { latencyMs: Date.now() - started, itemCount: (feed.items || []).length };
       } catch (e) {
-        console.warn('RSS failed', f.url, e.message);
+        console.warn('RSS failed', f.url, `(${f.consecutiveFailures + 1} in a row)`, e.message);
+        outcome = { latencyMs: Date.now() - started, error: e.message };
       }
+      // Kept out of the try so a failed health write isn't counted as a feed failure
+      await recordFeedResult(f, outcome).catch((e) => console.warn('Feed health update failed', f.url, e.message));
     })
   );
-  // Deduplicate by URL
+  // Deduplicate by URL, keeping earlier items only from feeds still configured
+  const sources = new Set(feeds.map((f) => f.source));
+  const previous = (cache.newsAll.data?.items || []).filter((n) => sources.has(n.source));
   const seen = new Set();
   const unique = [];
-  for (const r of results) {
-    const key = r.url || r.id;
+  for (const r of [...results, ...previous]) {
+    const key = canonicalizeUrl(r.url) || r.id;
     if (key && !seen.has(key)) {
       seen.add(key);
       unique.push(r);
     }
   }
-  unique.sort((a, b) => new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0));
-  const limited = unique.slice(0, 150);
+  unique.sort((a, b) => compareCursorKeys(newsSortKey(a), newsSortKey(b)));
+  const limited = clusterNewsItems(unique.slice(0, NEWS_RETAINED_LIMIT)).map(tagNewsItem);
   const data = { items: limited, nextCursor: null };
-  cache.newsAll = { data, expires: now() + TTL_NEWS };
+  cache.newsAll = writeCacheEntry('newsAll', { data, expires: now() + TTL_NEWS });
+  archiveNewsItems(results).catch((e) => console.warn('News archive failed', e.message));
   return data;
 }
 
-app.get('/news', async (_req, res) => {
+// News archive
+// Every fetched article is upserted into the Supabase `news_articles` table
+// by canonical URL, so stories outlive the feed window. /news/search runs the
+// `search_news_articles` full-text function there; without Supabase it falls
+// back to scoring the retained /news window in memory.
+const NEWS_ARCHIVE_BATCH = 200;
+const NEWS_RECENCY_HALF_LIFE_DAYS = 7;
+
+async function archiveNewsItems(items) {
+  if (!supabaseAdmin) return;
+  const rows = new Map();
+  for (const it of items) {
+    const canonical = canonicalizeUrl(it.url);
+    if (!canonical || !it.title) continue;
+    rows.set(canonical, {
+      canonical_url: canonical,
+      url: it.url,
+      title: it.title,
+      summary: it.summary,
+      image: it.image,
+      source: it.source,
+      published_at: Date.parse(it.publishedAt) ? new Date(it.publishedAt).toISOString() : null,
+      updated_at: new Date().toISOString(),
+    });
+  }
+  const all = [...rows.values()];
+  for (let i = 0; i < all.length; i += NEWS_ARCHIVE_BATCH) {
+    const { error } = await supabaseAdmin
+      .from('news_articles')
+      .upsert(all.slice(i, i + NEWS_ARCHIVE_BATCH), { onConflict: 'canonical_url' });
+    if (error) throw error;
+  }
+}
+
+function toArchivedNewsItem(row) {
+  return {
+    id: row.url,
+    url: row.url,
+    title: row.title,
+    image: row.image,
+    source: row.source,
+    publishedAt: row.published_at,
+    summary: row.summary,
+    score: row.rank,
+  };
+}
+
+// Term hits (title counts double) decayed by age, mirroring the SQL ranking
+function searchNewsInMemory(items, q) {
+  const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+  const scored = [];
+  for (const n of items) {
+    const title = `${n.title || ''}`.toLowerCase();
+    const summary = `${n.summary || ''}`.toLowerCase();
+    const hits = terms.reduce((sum, t) => sum + (title.includes(t) ? 2 : 0) + (summary.includes(t) ? 1 : 0), 0);
+    if (!hits) continue;
+    const ageDays = Math.max(now() - (Date.parse(n.publishedAt) || now()), 0) / (24 * ONE_HOUR);
+    scored.push({ ...n, score: hits / (1 + ageDays / NEWS_RECENCY_HALF_LIFE_DAYS) });
+  }
+  return scored.sort((a, b) => b.score - a.score);
+}
+
+async function searchNewsArchive(q, { limit, offset }) {
+  if (!supabaseAdmin) {
+    const data = await aggregateNews();
+    const matches = searchNewsInMemory(data.items || [], q);
+    return { items: matches.slice(offset, offset + limit), more: matches.length > offset + limit };
+  }
+  // One extra row tells us whether there is a next page
+  const { data, error } = await supabaseAdmin.rpc('search_news_articles', {
+    q,
+    max_results: limit + 1,
+    result_offset: offset,
+  });
+  if (error) throw error;
+  return { items: data.slice(0, limit).map(toArchivedNewsItem), more: data.length > limit };
+}
+
+// Ranked by relevance and recency; the cursor is an opaque result offset
+app.get('/news/search', [
+  query('q').isString().trim().isLength({ min: 2, max: 200 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  query('cursor').optional().isString().custom(isOffsetCursor),
+  handleValidation
+], async (req, res) => {
+  try {
+    const limit = req.query.limit || 20;
+    const offset = req.query.cursor ? decodeCursor(req.query.cursor)[0] : 0;
+    const { items, more } = await searchNewsArchive(req.query.q, { limit, offset });
+    res.set('Cache-Control', 'public, max-age=120');
+    res.json({ items, nextCursor: more ? encodeCursor([offset + limit]) : null });
+  } catch (e) {
+    console.error('News search error:', e.message);
+    res.status(500).json({ error: 'Failed to search news' });
+  }
+});
+
+// `team` goes through the alias dictionary and matches the item's team tags;
+// `q` matches title and summary text and every term must appear
+function filterNews(items, { source, team, since, q }) {
+  const sources = splitList(source);
+  const teams = team ? resolveTagIds(team, teamMatchers) : null;
+  const terms = `${q || ''}`.toLowerCase().split(/\s+/).filter(Boolean);
+  const sinceTs = since ? Date.parse(since) : null;
+  return items.filter((n) => {
+    if (sources.length && !sources.includes(`${n.source}`.toLowerCase())) return false;
+    if (sinceTs && !(Date.parse(n.publishedAt) >= sinceTs)) return false;
+    if (teams && !teams.some((id) => n.teams?.includes(id))) return false;
+    if (!terms.length) return true;
+    const text = `${n.title || ''} ${n.summary || ''}`.toLowerCase();
+    return terms.every((t) => text.includes(t));
+  });
+}
+
+app.get('/news', [
+  query('source').optional().isString().trim().isLength({ max: 500 }),
+  query('team').optional().isString().trim().isLength({ max: 100 }),
+  query('since').optional().isISO8601(),
+  query('q').optional().isString().trim().isLength({ max: 200 }),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('cursor').optional().isString().custom((c) => decodeCursor(c) !== null),
+  handleValidation
+], async (req, res) => {
   try {
     const data = await aggregateNews();
+    const filtered = groupStories(filterNews(data.items || [], req.query));
+    const page = paginate(filtered, { cursor: req.query.cursor, limit: req.query.limit || NEWS_PAGE_SIZE, keyOf: newsSortKey });
     res.set('Cache-Control', 'public, max-age=300, stale-while-revalidate=300');
-    res.json(data);
+    res.json(page);
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Failed to fetch news' });
@@ -673,233 +2066,2853 @@ function isoDate(d) {
   return d.toISOString().slice(0, 10);
 }
 
-async function fetchScoresApiFootball(scope) {
+const API_FOOTBALL_BASE = 'https://v3.football.api-sports.io';
+const ALL_SPORTS_BASE = 'https://apiv2.allsportsapi.com/football';
+
+async function fetchApiFootball(pathAndQuery) {
   if (!API_FOOTBALL_KEY) throw new Error('API_FOOTBALL_KEY missing');
-  const base = 'https://v3.football.api-sports.io';
-  const headers = { 'x-apisports-key': API_FOOTBALL_KEY };
-  let url = '';
-  const today = isoDate(new Date());
-  if (scope === 'live') url = `${base}/fixtures?live=all`;
-  else if (scope === 'today') url = `${base}/fixtures?date=${today}`;
-  else if (scope === 'upcoming') {
-    const from = today;
-    const to = isoDate(new Date(Date.now() + 3 * 24 * 60 * 60 * 1000));
-    url = `${base}/fixtures?from=${from}&to=${to}`;
-  } else throw new Error('bad scope');
-  const res = await fetch(url, { headers });
+  const res = await fetch(`${API_FOOTBALL_BASE}${pathAndQuery}`, { headers: { 'x-apisports-key': API_FOOTBALL_KEY } });
+  const remaining = res.headers.get('x-ratelimit-requests-remaining');
+  recordProviderCall('api-football', remaining === null ? null : parseInt(remaining, 10));
   if (!res.ok) throw new Error(`api-football ${res.status}`);
   const j = await res.json();
-  const arr = j.response || [];
-  return arr.map((m) => ({
-    id: `${m.fixture?.id}`,
+  // Quota and parameter errors come back as HTTP 200 with an `errors` object
+  const errors = j.errors && Object.values(j.errors);
+  if (errors && errors.length) throw new Error(`api-football ${errors.join(', ')}`);
+  return j.response || [];
+}
+
+async function fetchAllSports(params) {
+  if (!ALL_SPORTS_API_KEY) throw new Error('ALL_SPORTS_API_KEY missing');
+  const qs = new URLSearchParams({ ...params, APIkey: ALL_SPORTS_API_KEY });
+  const res = await fetch(`${ALL_SPORTS_BASE}/?${qs}`);
+  recordProviderCall('allsports');
+  if (!res.ok) throw new Error(`allsports ${res.status}`);
+  const j = await res.json();
+  if (j.error && `${j.error}` !== '0') throw new Error(`allsports ${j.error}`);
+  return j.result || j.events || [];
+}
+
+function normalizeApiFootballFixture(m) {
+  // Live fixtures embed their events; count red cards per team when present
+  const redCards = (teamId) => (Array.isArray(m.events)
+    ? m.events.filter((ev) => ev.type === 'Card' && /red/i.test(ev.detail || '') && ev.team?.id === teamId).length
+    : null);
+  return {
+    id: scopedId('api-football', m.fixture?.id),
+    leagueId: m.league?.id ? scopedId('api-football', m.league.id) : '',
     league: m.league?.name || 'League',
     country: m.league?.country || '',
     datetime: m.fixture?.date || null,
     status: m.fixture?.status?.short || m.fixture?.status?.long || '',
     minute: m.fixture?.status?.elapsed || null,
     home: {
-      id: `${m.teams?.home?.id || ''}`,
+      id: m.teams?.home?.id ? scopedId('api-football', m.teams.home.id) : '',
       name: m.teams?.home?.name || 'Home',
       logo: m.teams?.home?.logo || null,
       goals: m.goals?.home ?? null,
+      redCards: redCards(m.teams?.home?.id),
     },
     away: {
-      id: `${m.teams?.away?.id || ''}`,
+      id: m.teams?.away?.id ? scopedId('api-football', m.teams.away.id) : '',
       name: m.teams?.away?.name || 'Away',
       logo: m.teams?.away?.logo || null,
       goals: m.goals?.away ?? null,
+      redCards: redCards(m.teams?.away?.id),
     },
-  }));
+  };
 }
 
-async function fetchScoresAllSports(scope) {
-  if (!ALL_SPORTS_API_KEY) throw new Error('ALL_SPORTS_API_KEY missing');
-  const base = 'https://apiv2.allsportsapi.com/football';
-  const today = isoDate(new Date());
-  let url = '';
-  if (scope === 'live') url = `${base}/?met=Livescore&APIkey=${ALL_SPORTS_API_KEY}`;
-  else if (scope === 'today') url = `${base}/?met=Fixtures&from=${today}&to=${today}&APIkey=${ALL_SPORTS_API_KEY}`;
-  else if (scope === 'upcoming') {
-    const to = isoDate(new Date(Date.now() + 3 * 24 * 60 * 60 * 1000));
-    url = `${base}/?met=Fixtures&from=${today}&to=${to}&APIkey=${ALL_SPORTS_API_KEY}`;
-  } else throw new Error('bad scope');
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`allsports ${res.status}`);
-  const j = await res.json();
-  const arr = j.result || j.events || [];
-  return arr.map((m) => ({
-    id: `${m.event_key || m.match_id || m.event_id || m.fixture_id || m.id}`,
+function normalizeAllSportsFixture(m) {
+  const redCards = (side) => (Array.isArray(m.cards)
+    ? m.cards.filter((c) => /red/i.test(c.card || '') && c[`${side}_fault`]).length
+    : null);
+  return {
+    id: scopedId('allsports', m.event_key || m.match_id || m.event_id || m.fixture_id || m.id),
+    leagueId: m.league_key ? scopedId('allsports', m.league_key) : '',
     league: m.league_name || m.league?.name || 'League',
     country: m.country_name || m.country || '',
     datetime: m.event_date_start || m.event_date || m.match_time || m.date || null,
     status: m.event_status || m.status || '',
     minute: m.event_live_minute || m.live_minute || null,
     home: {
-      id: `${m.home_team_key || ''}`,
+      id: m.home_team_key ? scopedId('allsports', m.home_team_key) : '',
       name: m.event_home_team || m.home_team || 'Home',
       logo: m.home_team_logo || null,
       goals: m.event_final_result ? parseInt((m.event_final_result+'').split('-')[0]) : (m.home_team_goals ?? null),
+      redCards: redCards('home'),
     },
     away: {
-      id: `${m.away_team_key || ''}`,
+      id: m.away_team_key ? scopedId('allsports', m.away_team_key) : '',
       name: m.event_away_team || m.away_team || 'Away',
       logo: m.away_team_logo || null,
       goals: m.event_final_result ? parseInt((m.event_final_result+'').split('-')[1]) : (m.away_team_goals ?? null),
+      redCards: redCards('away'),
     },
-  }));
+  };
 }
 
-async function getScores(scope) {
-  const nowMs = now();
-  const bucket = cache.scores[scope] || { data: null, expires: 0 };
-  if (bucket.data && bucket.expires > nowMs) return bucket.data;
-  const ttl = scope === 'live' ? TTL_LIVE : scope === 'today' ? TTL_TODAY : TTL_UPCOMING;
-  // Try primary provider first
-  let items = [];
-  try {
-    items = await fetchScoresApiFootball(scope);
-  } catch (e) {
-    console.warn('API-Football failed', scope, e.message);
+// Provider-scoped ids
+// API-Football and AllSports number fixtures, competitions and teams
+// independently, so match, league and team ids carry their provider's prefix
+// (`af-1035037`, `as-152`, `af-33`) and are only ever looked up at the
+// provider they came from.
+const PROVIDER_ID_PREFIXES = { 'api-football': 'af', allsports: 'as' };
+
+const scopedId = (provider, id) => `${PROVIDER_ID_PREFIXES[provider]}-${id}`;
+
+function parseScopedId(id) {
+  const m = /^([a-z]{2})-(.+)$/.exec(`${id}`);
+  const provider = m && Object.keys(PROVIDER_ID_PREFIXES).find((name) => PROVIDER_ID_PREFIXES[name] === m[1]);
+  return provider ? { provider, id: m[2] } : null;
+}
+
+async function fetchScoresApiFootball(scope, range) {
+  const today = isoDate(new Date());
+  let query = '';
+  if (scope === 'live') query = '/fixtures?live=all';
+  else if (scope === 'today') query = `/fixtures?date=${today}`;
+  else if (scope === 'upcoming') {
+    const from = today;
+    const to = isoDate(new Date(Date.now() + 3 * 24 * 60 * 60 * 1000));
+    query = `/fixtures?from=${from}&to=${to}`;
+  } else if (scope === 'range') query = `/fixtures?from=${range.from}&to=${range.to}`;
+  else throw new Error('bad scope');
+  const arr = await fetchApiFootball(query);
+  return arr.map(normalizeApiFootballFixture);
+}
+
+async function fetchScoresAllSports(scope, range) {
+  const today = isoDate(new Date());
+  let params;
+  if (scope === 'live') params = { met: 'Livescore' };
+  else if (scope === 'today') params = { met: 'Fixtures', from: today, to: today };
+  else if (scope === 'upcoming') {
+    const to = isoDate(new Date(Date.now() + 3 * 24 * 60 * 60 * 1000));
+    params = { met: 'Fixtures', from: today, to };
+  } else if (scope === 'range') params = { met: 'Fixtures', from: range.from, to: range.to };
+  else throw new Error('bad scope');
+  const arr = await fetchAllSports(params);
+  return arr.map(normalizeAllSportsFixture);
+}
+
+// Score provider registry
+// Each provider declares its capabilities (fetchers), priority and daily
+// quota. Failures are counted per provider; after PROVIDER_FAILURE_THRESHOLD
+// consecutive failures its circuit opens and it is skipped until the
+// cooldown passes, then a single call is let through to probe it.
+const PROVIDER_FAILURE_THRESHOLD = 3;
+const PROVIDER_COOLDOWN = 5 * 60 * 1000;
+const TTL_PROVIDER_ERROR = 15 * 1000; // retry soon when every provider failed
+
+const scoreProviders = [];
+
+function registerScoreProvider(provider) {
+  scoreProviders.push({
+    ...provider,
+    health: {
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastSuccessAt: null,
+      lastErrorAt: null,
+      lastError: null,
+      openUntil: 0,
+      probing: false, // half-open: the one probe call is in flight
+    },
+    usage: { day: isoDate(new Date()), calls: 0, remaining: null },
+  });
+  scoreProviders.sort((a, b) => a.priority - b.priority);
+}
+
+function getScoreProvider(name) {
+  return scoreProviders.find((p) => p.name === name);
+}
+
+// Counts upstream HTTP calls; `remaining` comes from provider rate-limit headers when sent
+function recordProviderCall(name, remaining = null) {
+  const provider = getScoreProvider(name);
+  if (!provider) return;
+  const today = isoDate(new Date());
+  if (provider.usage.day !== today) provider.usage = { day: today, calls: 0, remaining: null };
+  provider.usage.calls += 1;
+  if (remaining !== null && !Number.isNaN(remaining)) provider.usage.remaining = remaining;
+}
+
+function providerAvailable(provider, capability) {
+  if (!provider.fetchers[capability] || !provider.enabled()) return false;
+  if (provider.health.openUntil > now()) return false;
+  if (provider.health.openUntil && provider.health.probing) return false;
+  const today = isoDate(new Date());
+  if (provider.usage.day !== today) return true;
+  if (provider.usage.remaining === 0) return false;
+  return !provider.dailyQuota || provider.usage.calls < provider.dailyQuota;
+}
+
+function recordProviderSuccess(provider) {
+  const h = provider.health;
+  h.successes += 1;
+  h.consecutiveFailures = 0;
+  h.openUntil = 0;
+  h.probing = false;
+  h.lastSuccessAt = new Date().toISOString();
+}
+
+function recordProviderFailure(provider, err) {
+  const h = provider.health;
+  h.failures += 1;
+  h.consecutiveFailures += 1;
+  h.lastErrorAt = new Date().toISOString();
+  h.lastError = err.message;
+  h.probing = false;
+  if (h.consecutiveFailures >= PROVIDER_FAILURE_THRESHOLD) {
+    h.openUntil = now() + PROVIDER_COOLDOWN;
+    console.warn(`${provider.label} circuit open for ${PROVIDER_COOLDOWN / 1000}s after ${h.consecutiveFailures} failures`);
+  }
+}
+
+// After the cooldown the circuit is half-open: the first call becomes the
+// probe and others skip the provider until it succeeds or fails
+function beginProviderCall(provider) {
+  if (provider.health.openUntil) provider.health.probing = true;
+}
+
+// Capabilities whose first argument is a provider-scoped match or league id
+const SCOPED_ID_CAPABILITIES = ['match', 'standings', 'leagueFixtures'];
+
+// Providers are tried in priority order and the first non-null result wins.
+// Lookups by id go to the owning provider only (see callOwningProvider).
+// Resolves to { result, provider }; throws if every available provider failed.
+async function callScoreProviders(capability, label, ...args) {
+  if (SCOPED_ID_CAPABILITIES.includes(capability)) return callOwningProvider(capability, label, ...args);
+  let lastError = null;
+  let skipped = 0;
+  for (const provider of scoreProviders) {
+    if (!provider.fetchers[capability] || !provider.enabled()) continue;
+    if (!providerAvailable(provider, capability)) {
+      skipped += 1;
+      continue;
+    }
+    beginProviderCall(provider);
     try {
-      items = await fetchScoresAllSports(scope);
-    } catch (e2) {
-      console.warn('AllSports failed', scope, e2.message);
-      items = [];
+      const result = await provider.fetchers[capability](...args);
+      recordProviderSuccess(provider);
+      if (result != null) return { result, provider: provider.name };
+    } catch (e) {
+      console.warn(`${provider.label} failed`, label, e.message);
+      recordProviderFailure(provider, e);
+      lastError = e;
     }
   }
-  const data = { items };
-  cache.scores[scope] = { data, expires: nowMs + ttl };
-  return data;
+  if (lastError) throw lastError;
+  if (skipped) throw new Error(`No ${capability} provider available (circuit open or quota exhausted)`);
+  return { result: null, provider: null };
 }
 
-app.get('/scores', [
-  query('scope').optional().isIn(['live', 'today', 'upcoming']),
-  handleValidation
-], asyncHandler(async (req, res) => {
+// No fallback: another provider would read the id as one of its own. A null
+// result means not found and is final; unknown prefixes resolve to null too.
+async function callOwningProvider(capability, label, id, ...args) {
+  const scoped = parseScopedId(id);
+  const provider = scoped && getScoreProvider(scoped.provider);
+  if (!provider || !provider.fetchers[capability] || !provider.enabled()) return { result: null, provider: null };
+  if (!providerAvailable(provider, capability)) {
+    throw new Error(`${provider.label} unavailable for ${capability} (circuit open or quota exhausted)`);
+  }
+  beginProviderCall(provider);
   try {
-    const scope = (req.query.scope || 'live').toString();
+    const result = await provider.fetchers[capability](scoped.id, ...args);
+    recordProviderSuccess(provider);
+    return { result, provider: provider.name };
+  } catch (e) {
+    console.warn(`${provider.label} failed`, label, e.message);
+    recordProviderFailure(provider, e);
+    throw e;
+  }
+}
+
+function providerStatus() {
+  return scoreProviders.map((p) => ({
+    name: p.name,
+    priority: p.priority,
+    enabled: p.enabled(),
+    capabilities: Object.keys(p.fetchers),
+    circuit: p.health.openUntil > now() ? 'open' : p.health.openUntil ? 'half-open' : 'closed',
+    openUntil: p.health.openUntil > now() ? new Date(p.health.openUntil).toISOString() : null,
+    quota: { day: p.usage.day, calls: p.usage.calls, dailyQuota: p.dailyQuota || null, remaining: p.usage.remaining },
+    health: { ...p.health, openUntil: undefined },
+  }));
+}
+
+registerScoreProvider({
+  name: 'api-football',
+  label: 'API-Football',
+  priority: 1,
+  enabled: () => !!API_FOOTBALL_KEY,
+  dailyQuota: parseInt(process.env.API_FOOTBALL_DAILY_QUOTA || '0', 10), // 0 = unmetered; set to the plan's daily limit
+  fetchers: {
+    scores: fetchScoresApiFootball,
+    match: fetchMatchApiFootball,
+    leagues: fetchLeaguesApiFootball,
+    standings: fetchStandingsApiFootball,
+    leagueFixtures: fetchLeagueFixturesApiFootball,
+  },
+});
+
+registerScoreProvider({
+  name: 'allsports',
+  label: 'AllSports',
+  priority: 2,
+  enabled: () => !!ALL_SPORTS_API_KEY,
+  dailyQuota: parseInt(process.env.ALL_SPORTS_DAILY_QUOTA || '0', 10), // 0 = unmetered
+  fetchers: {
+    scores: fetchScoresAllSports,
+    match: fetchMatchAllSports,
+    leagues: fetchLeaguesAllSports,
+    standings: fetchStandingsAllSports,
+    leagueFixtures: fetchLeagueFixturesAllSports,
+  },
+});
+
+// Resolves `{ ...payload, provider, stale }`. When every provider fails the
+// last good snapshot is served flagged `stale` and retried after
+// TTL_PROVIDER_ERROR, rather than caching an empty result for the full TTL.
+async function fetchCachedFromProviders(entry, capability, label, args, toPayload) {
+  try {
+    const { result, provider } = await callScoreProviders(capability, label, ...args);
+    return { data: result == null ? null : { ...toPayload(result), provider, stale: false }, failed: false };
+  } catch (e) {
+    return { data: entry && entry.data ? { ...entry.data, stale: true } : null, failed: true };
+  }
+}
+
+// Live and today scores are only polled fast while a fixture is in progress
+// or about to kick off; otherwise they fall back to slower idle intervals
+const SCORES_IDLE_TTL = TEN_MIN;
+const MATCH_ACTIVE_BEFORE = SCORES_IDLE_TTL; // so an idle poll never sleeps through a kick-off
+const MATCH_ACTIVE_AFTER = 150 * 60 * 1000;
+
+function matchesInProgress({ live = cache.scores.live.data?.items, today = cache.scores.today.data?.items } = {}) {
+  const nowMs = now();
+  if ((live || []).some((m) => ['live', 'halftime'].includes(matchPhase(m.status)))) return true;
+  return (today || []).some((m) => {
+    const kickoff = Date.parse(m.datetime);
+    const phase = matchPhase(m.status);
+    return (phase === 'scheduled' || phase === 'live' || phase === 'halftime')
+      && kickoff - MATCH_ACTIVE_BEFORE <= nowMs && nowMs <= kickoff + MATCH_ACTIVE_AFTER;
+  });
+}
+
+// `items` is a snapshot of `scope` that is about to replace the cached one
+function scoresTtl(scope, items) {
+  if (scope === 'upcoming') return TTL_UPCOMING;
+  const active = matchesInProgress(items ? { [scope]: items } : {});
+  if (scope === 'live') return active ? TTL_LIVE : SCORES_IDLE_TTL;
+  return active ? TTL_TODAY : TTL_UPCOMING;
+}
+
+// For client requests: the read keeps the scope's refresh job awake
+async function getScores(scope) {
+  touchJob(`scores:${scope}`);
+  return readScores(scope);
+}
+
+// For background tasks (match polls, predictions, push), whose own polling
+// must not count as demand or the scores jobs would never pause
+async function readScores(scope) {
+  const bucket = await loadCacheEntry(`scores:${scope}`, cache.scores[scope]) || { data: null, expires: 0 };
+  cache.scores[scope] = bucket;
+  return serveCached(bucket, `scores:${scope}`, () => refreshScores(scope), scoresTtl(scope));
+}
+
+async function refreshScores(scope) {
+  const nowMs = now();
+  const bucket = await loadCacheEntry(`scores:${scope}`, cache.scores[scope]) || { data: null, expires: 0 };
+  const { data, failed } = await fetchCachedFromProviders(bucket, 'scores', scope, [scope], (items) => ({ items }));
+  if (failed) {
+    const stale = data || { items: [], provider: null, stale: true };
+    cache.scores[scope] = writeCacheEntry(`scores:${scope}`, { data: stale, expires: nowMs + TTL_PROVIDER_ERROR });
+    return stale;
+  }
+  const fresh = data || { items: [], provider: null, stale: false };
+  // Fixture ids differ between providers, so only diff snapshots from the same one
+  if (scope === 'live') {
+    const prev = bucket.data && !bucket.data.stale && bucket.data.provider === fresh.provider ? bucket.data.items : null;
+    handleLiveSnapshot(prev, fresh.items);
+    publishLiveSnapshot(fresh.items);
+  }
+  if (scope !== 'upcoming') {
+    settleFinishedPredictions(fresh).catch((e) => console.warn('Prediction settlement failed', e.message));
+    closeFinishedMatchPolls(fresh).catch((e) => console.warn('Match poll close failed', e.message));
+  }
+  cache.scores[scope] = writeCacheEntry(`scores:${scope}`, { data: fresh, expires: nowMs + scoresTtl(scope, fresh.items) });
+  return fresh;
+}
+
+// Arbitrary date windows (beyond the 3-day `upcoming` scope), cached per window
+const MAX_SCORES_RANGE_DAYS = 14;
+const MAX_SCORES_RANGE_ENTRIES = 50;
+
+async function getScoresRange(from, to) {
+  const key = `${from}:${to}`;
+  const entry = cache.scoresRange.get(key);
+  if (entry && entry.expires > now()) return entry.data;
+  return singleFlight(`range:${key}`, async () => {
+    const { data, failed } = await fetchCachedFromProviders(
+      entry, 'scores', `range ${key}`, ['range', { from, to }], (items) => ({ items })
+    );
+    if (failed) return data || { items: [], provider: null, stale: true };
+    if (cache.scoresRange.size >= MAX_SCORES_RANGE_ENTRIES) {
+      cache.scoresRange.delete(cache.scoresRange.keys().next().value);
+    }
+    const fresh = data || { items: [], provider: null, stale: false };
+    cache.scoresRange.set(key, { data: fresh, expires: now() + TTL_UPCOMING });
+    return fresh;
+  });
+}
+
+// Runs over cached normalized items, so filters never cost provider calls
+function filterMatches(items, { league, country, team, status }) {
+  const leagues = splitList(league);
+  const statuses = splitList(status);
+  const countryLc = `${country || ''}`.trim().toLowerCase();
+  const teamLc = `${team || ''}`.trim().toLowerCase();
+  return items.filter((m) => {
+    if (leagues.length && !leagues.includes(`${m.leagueId}`) && !leagues.includes(`${m.league}`.toLowerCase())) return false;
+    if (countryLc && `${m.country}`.toLowerCase() !== countryLc) return false;
+    if (teamLc && ![m.home, m.away].some((t) => t.id === teamLc || `${t.name}`.toLowerCase().includes(teamLc))) return false;
+    if (statuses.length && !statuses.includes(matchPhase(m.status)) && !statuses.includes(`${m.status}`.toLowerCase())) return false;
+    return true;
+  });
+}
+
+const matchSortKey = (m) => [Date.parse(m.datetime) || 0, `${m.id}`];
+
+app.get('/scores', [
+  query('scope').optional().isIn(['live', 'today', 'upcoming']),
+  query('league').optional().isString().trim().isLength({ max: 200 }),
+  query('country').optional().isString().trim().isLength({ max: 100 }),
+  query('team').optional().isString().trim().isLength({ max: 100 }),
+  query('status').optional().isString().trim().isLength({ max: 100 }),
+  query('from').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  query('to').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('cursor').optional().isString().custom((c) => decodeCursor(c) !== null),
+  handleValidation
+], asyncHandler(async (req, res) => {
+  try {
+    const scope = (req.query.scope || 'live').toString();
     if (!['live', 'today', 'upcoming'].includes(scope)) return res.status(400).json({ error: 'bad scope' });
-    const data = await getScores(scope);
-    const cacheSeconds = scope === 'live' ? 30 : scope === 'today' ? 60 : 300;
-    res.set('Cache-Control', `public, max-age=${cacheSeconds}`);
-    res.json(data);
+
+    let data;
+    let cacheSeconds = scope === 'live' ? 30 : scope === 'today' ? 60 : 300;
+    if (req.query.from || req.query.to) {
+      const from = req.query.from || isoDate(new Date());
+      const to = req.query.to || isoDate(new Date(Date.parse(from) + 3 * 24 * 60 * 60 * 1000));
+      const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000);
+      if (days < 0) return res.status(400).json({ error: '`from` must not be after `to`' });
+      if (days > MAX_SCORES_RANGE_DAYS) {
+        return res.status(400).json({ error: `Date range is limited to ${MAX_SCORES_RANGE_DAYS} days` });
+      }
+      data = await getScoresRange(from, to);
+      cacheSeconds = 300;
+    } else {
+      data = await getScores(scope);
+    }
+
+    const filtered = filterMatches(data.items || [], req.query)
+      .sort((a, b) => compareCursorKeys(matchSortKey(a), matchSortKey(b)));
+    // Without limit/cursor the full list is returned, as before pagination existed
+    const page = req.query.limit || req.query.cursor
+      ? paginate(filtered, { cursor: req.query.cursor, limit: req.query.limit || 50, keyOf: matchSortKey })
+      : { items: filtered, nextCursor: null };
+
+    const pollIndex = await getMatchPollIndex().catch((e) => {
+      console.warn('Match poll lookup failed', e.message);
+      return new Map();
+    });
+    const items = page.items.map((m) => {
+      const polls = pollIndex.get(`${data.provider}:${m.id}`);
+      return polls ? { ...m, polls } : m;
+    });
+
+    res.set('Cache-Control', `public, max-age=${data.stale ? 15 : cacheSeconds}`);
+    res.json({ ...page, items, provider: data.provider, stale: data.stale });
+  } catch (e) {
+    console.error('Scores error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch scores' });
+  }
+}));
+
+// Personalised feed
+// News (one lead per story) and videos tagged with any of the requested teams
+// or leagues, newest first, plus today's and upcoming fixtures on the first page
+const FEED_PAGE_SIZE = 30;
+const FEED_MAX_FIXTURES = 20;
+
+const feedSortKey = (it) => [-(Date.parse(it.publishedAt) || 0), `${it.type}:${it.id}`];
+
+function matchesTags(tags, teams, leagues) {
+  return (tags.teams || []).some((t) => teams.includes(t)) || (tags.leagues || []).some((l) => leagues.includes(l));
+}
+
+async function getFeedFixtures(teams, leagues) {
+  const [today, upcoming] = await Promise.all([getScores('today'), getScores('upcoming')]);
+  const byId = new Map();
+  for (const m of [...(today.items || []), ...(upcoming.items || [])]) {
+    const tags = tagMatch(m);
+    if (!byId.has(m.id) && matchesTags(tags, teams, leagues)) byId.set(m.id, { ...m, ...tags });
+  }
+  return [...byId.values()]
+    .sort((a, b) => compareCursorKeys(matchSortKey(a), matchSortKey(b)))
+    .slice(0, FEED_MAX_FIXTURES);
+}
+
+app.get('/feed', [
+  query('teams').optional().isString().trim().isLength({ max: 500 }),
+  query('leagues').optional().isString().trim().isLength({ max: 500 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('cursor').optional().isString().custom((c) => decodeCursor(c) !== null),
+  handleValidation
+], asyncHandler(async (req, res) => {
+  try {
+    const teams = resolveTagIds(req.query.teams, teamMatchers);
+    const leagues = resolveTagIds(req.query.leagues, leagueMatchers);
+    if (!teams.length && !leagues.length) return res.status(400).json({ error: 'Provide known `teams` or `leagues`' });
+
+    // One failing source should not empty the whole feed
+    const [news, videos] = await Promise.all([
+      aggregateNews().catch((e) => { console.warn('Feed news failed', e.message); return { items: [] }; }),
+      YT_KEY
+        ? getAggregatedVideos({}).catch((e) => { console.warn('Feed videos failed', e.message); return { items: [] }; })
+        : { items: [] },
+    ]);
+    const items = [
+      ...groupStories(news.items.filter((n) => matchesTags(n, teams, leagues))).map((n) => ({ type: 'news', ...n })),
+      ...videos.items.filter((v) => matchesTags(v, teams, leagues)).map((v) => ({ type: 'video', ...v })),
+    ].sort((a, b) => compareCursorKeys(feedSortKey(a), feedSortKey(b)));
+    const page = paginate(items, { cursor: req.query.cursor, limit: req.query.limit || FEED_PAGE_SIZE, keyOf: feedSortKey });
+    const fixtures = req.query.cursor ? [] : await getFeedFixtures(teams, leagues);
+
+    res.set('Cache-Control', 'private, max-age=60');
+    res.json({ teams, leagues, fixtures, ...page });
+  } catch (e) {
+    console.error('Feed error:', e.message);
+    res.status(500).json({ error: 'Failed to build feed' });
+  }
+}));
+
+// Live score streaming (Server-Sent Events)
+// Every live scores refresh is diffed against the last snapshot and only
+// fixtures whose score, minute or status changed are pushed, so clients get
+// updates as soon as they are fetched rather than on a second timer.
+const STREAM_HEARTBEAT_INTERVAL = 25 * 1000;
+const STREAM_MAX_CLIENTS = parseInt(process.env.STREAM_MAX_CLIENTS || '500', 10);
+
+const liveStream = {
+  clients: new Set(),
+  fingerprints: new Map(), // match id -> fingerprint of last pushed state
+  items: [],
+  heartbeatTimer: null,
+};
+
+function matchFingerprint(m) {
+  return [m.status, m.minute, m.home?.goals, m.away?.goals, m.home?.redCards, m.away?.redCards].join('|');
+}
+
+function diffMatches(prevFingerprints, items) {
+  const fingerprints = new Map();
+  const changed = [];
+  for (const m of items) {
+    const fp = matchFingerprint(m);
+    fingerprints.set(m.id, fp);
+    if (prevFingerprints.get(m.id) !== fp) changed.push(m);
+  }
+  const removed = [];
+  for (const id of prevFingerprints.keys()) {
+    if (!fingerprints.has(id)) removed.push(id);
+  }
+  return { changed, removed, fingerprints };
+}
+
+function sendStreamEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // compression() buffers output unless explicitly flushed
+  if (typeof res.flush === 'function') res.flush();
+}
+
+function broadcastStreamEvent(event, data) {
+  for (const res of liveStream.clients) sendStreamEvent(res, event, data);
+}
+
+// Called with every live scores refresh
+function publishLiveSnapshot(items) {
+  if (!liveStream.clients.size) return;
+  const { changed, removed, fingerprints } = diffMatches(liveStream.fingerprints, items);
+  liveStream.fingerprints = fingerprints;
+  liveStream.items = items;
+  if (changed.length || removed.length) {
+    broadcastStreamEvent('update', { changed, removed, at: new Date().toISOString() });
+  }
+}
+
+function startLiveStream(items) {
+  if (liveStream.heartbeatTimer) return;
+  liveStream.items = items;
+  liveStream.fingerprints = diffMatches(new Map(), items).fingerprints;
+  liveStream.heartbeatTimer = setInterval(() => {
+    for (const res of liveStream.clients) {
+      res.write(': ping\n\n');
+      if (typeof res.flush === 'function') res.flush();
+    }
+  }, STREAM_HEARTBEAT_INTERVAL);
+}
+
+function stopLiveStream() {
+  clearInterval(liveStream.heartbeatTimer);
+  liveStream.heartbeatTimer = null;
+  liveStream.fingerprints = new Map();
+  liveStream.items = [];
+}
+
+app.get('/scores/stream', asyncHandler(async (req, res) => {
+  if (liveStream.clients.size >= STREAM_MAX_CLIENTS) {
+    return res.status(503).json({ error: 'Too many stream clients, fall back to /scores?scope=live' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable proxy buffering on Render/nginx
+  });
+  res.flushHeaders();
+  res.write(`retry: ${TTL_LIVE}\n\n`);
+
+  // First client primes the shared snapshot; later clients reuse it
+  const data = await getScores('live');
+  if (req.socket.destroyed) return;
+  startLiveStream(data.items || []);
+  liveStream.clients.add(res);
+  sendStreamEvent(res, 'snapshot', { items: liveStream.items, at: new Date().toISOString() });
+
+  req.on('close', () => {
+    liveStream.clients.delete(res);
+    if (liveStream.clients.size === 0) stopLiveStream();
+  });
+}));
+
+// Match event detection and push notifications
+// Successive live snapshots are compared to detect goals, red cards and phase
+// changes, which are fanned out to devices following either team or league.
+const PUSH_NOTIFICATIONS = process.env.PUSH_NOTIFICATIONS === 'true';
+const PUSH_SENDER = process.env.PUSH_SENDER || ''; // 'console' or 'file' overrides the FCM/APNs senders
+const PUSH_LOG_FILE = process.env.PUSH_LOG_FILE || path.join(os.tmpdir(), 'sportrays-push-notifications.log');
+const TTL_PUSH_DEVICES = 60 * 1000;
+const TTL_SENT_EVENT = 6 * ONE_HOUR;
+const PENDING_FINISH_WINDOW = 30 * 60 * 1000;
+const MATCH_EVENT_TYPES = ['goal', 'red_card', 'kick_off', 'half_time', 'full_time'];
+
+const pushState = {
+  devices: { data: null, expires: 0 },
+  sentEvents: new Map(), // event key -> expires, guards against duplicate sends when providers flap
+  pendingFinish: new Map(), // match id -> { match, until } for fixtures that left the live feed
+};
+
+// Collapse API-Football short codes and AllSportsAPI status strings into one phase
+function matchPhase(status) {
+  const s = `${status || ''}`.trim().toUpperCase();
+  if (!s || s === 'NS' || s === 'TBD') return 'scheduled';
+  if (s === 'HT' || s === 'HALF TIME') return 'halftime';
+  if (['FT', 'AET', 'PEN', 'FINISHED', 'AFTER ET', 'AFTER PEN.'].includes(s)) return 'finished';
+  if (['1H', '2H', 'ET', 'BT', 'P', 'LIVE', 'EXTRA TIME', 'PENALTY', 'BREAK TIME'].includes(s)) return 'live';
+  if (/^\d+(\+\d+)?'?$/.test(s)) return 'live';
+  return 'other';
+}
+
+function detectMatchEvents(prevItems, nextItems, finishedItems = []) {
+  const prevById = new Map(prevItems.map((m) => [m.id, m]));
+  const events = [];
+  const add = (type, match, team = null) => events.push({ type, matchId: match.id, team, match });
+
+  for (const m of nextItems) {
+    const phase = matchPhase(m.status);
+    const p = prevById.get(m.id);
+    if (!p) {
+      // Fixture just entered the live feed
+      if (phase === 'live' && (m.minute || 0) <= 5) add('kick_off', m);
+      continue;
+    }
+    const prevPhase = matchPhase(p.status);
+    if (prevPhase === 'scheduled' && phase === 'live') add('kick_off', m);
+    for (const side of ['home', 'away']) {
+      if ((m[side].goals ?? 0) > (p[side].goals ?? 0)) add('goal', m, side);
+      if (m[side].redCards != null && p[side].redCards != null && m[side].redCards > p[side].redCards) {
+        add('red_card', m, side);
+      }
+    }
+    if (phase === 'halftime' && prevPhase !== 'halftime') add('half_time', m);
+    if (phase === 'finished' && prevPhase !== 'finished') add('full_time', m);
+  }
+  for (const m of finishedItems) add('full_time', m);
+  return events;
+}
+
+function matchEventKey(ev) {
+  const m = ev.match;
+  if (ev.type === 'goal') return `${ev.matchId}:goal:${m.home.goals}-${m.away.goals}`;
+  if (ev.type === 'red_card') return `${ev.matchId}:red_card:${ev.team}:${m[ev.team].redCards}`;
+  return `${ev.matchId}:${ev.type}`;
+}
+
+function markEventSent(ev) {
+  const key = matchEventKey(ev);
+  const nowMs = now();
+  const expires = pushState.sentEvents.get(key);
+  if (expires && expires > nowMs) return false;
+  pushState.sentEvents.set(key, nowMs + TTL_SENT_EVENT);
+  if (pushState.sentEvents.size > 5000) {
+    for (const [k, exp] of pushState.sentEvents) if (exp <= nowMs) pushState.sentEvents.delete(k);
+  }
+  return true;
+}
+
+function handleLiveSnapshot(prevItems, items) {
+  if (!prevItems) return; // first snapshot after startup: nothing to compare against
+  processLiveSnapshot(prevItems, items).catch((e) => console.warn('Match event processing failed', e.message));
+}
+
+async function processLiveSnapshot(prevItems, items) {
+  const nowMs = now();
+  const liveIds = new Set(items.map((m) => m.id));
+  for (const m of prevItems) {
+    if (!liveIds.has(m.id)) pushState.pendingFinish.set(m.id, { match: m, until: nowMs + PENDING_FINISH_WINDOW });
+  }
+
+  // The live feed drops fixtures at full-time, so confirm those against today's list
+  const finished = [];
+  if (pushState.pendingFinish.size) {
+    const today = await readScores('today');
+    const todayById = new Map((today.items || []).map((m) => [m.id, m]));
+    for (const [id, pending] of pushState.pendingFinish) {
+      const m = todayById.get(id);
+      if (liveIds.has(id) || pending.until <= nowMs) {
+        pushState.pendingFinish.delete(id);
+      } else if (m && matchPhase(m.status) === 'finished') {
+        finished.push(m);
+        pushState.pendingFinish.delete(id);
+      }
+    }
+  }
+
+  const events = detectMatchEvents(prevItems, items, finished).filter(markEventSent);
+  if (!events.length) return;
+  for (const ev of events) broadcastStreamEvent('match_event', ev);
+  if (PUSH_NOTIFICATIONS) await dispatchMatchEvents(events);
+}
+
+function scoreLine(m) {
+  return `${m.home.name} ${m.home.goals ?? 0}-${m.away.goals ?? 0} ${m.away.name}`;
+}
+
+function formatMatchNotification(ev) {
+  const m = ev.match;
+  const minute = m.minute ? ` (${m.minute}')` : '';
+  const data = { type: ev.type, matchId: `${ev.matchId}`, league: `${m.league || ''}` };
+  switch (ev.type) {
+    case 'goal': return { title: `GOAL! ${scoreLine(m)}`, body: `${m[ev.team].name} score${minute}`, data };
+    case 'red_card': return { title: `Red card${minute}`, body: `${m[ev.team].name} - ${scoreLine(m)}`, data };
+    case 'kick_off': return { title: 'Kick-off', body: `${m.home.name} vs ${m.away.name}`, data };
+    case 'half_time': return { title: 'Half-time', body: scoreLine(m), data };
+    default: return { title: 'Full-time', body: scoreLine(m), data };
+  }
+}
+
+function deviceWantsEvent(device, ev) {
+  if (Array.isArray(device.events) && device.events.length && !device.events.includes(ev.type)) return false;
+  const m = ev.match;
+  const teams = device.teams || [];
+  const leagues = device.leagues || [];
+  const followsTeam = [m.home, m.away].some((t) => teams.includes(`${t.id}`) || teams.includes(`${t.name}`.toLowerCase()));
+  const followsLeague = leagues.includes(`${m.leagueId}`) || leagues.includes(`${m.league}`.toLowerCase());
+  return followsTeam || followsLeague;
+}
+
+async function getPushDevices() {
+  if (pushState.devices.data && pushState.devices.expires > now()) return pushState.devices.data;
+  if (!supabaseAdmin) return [];
+  const { data, error } = await supabaseAdmin
+    .from('push_devices')
+    .select('token, platform, teams, leagues, events')
+    .eq('enabled', true)
+    .eq('muted', false);
+  if (error) throw error;
+  pushState.devices = { data: data || [], expires: now() + TTL_PUSH_DEVICES };
+  return pushState.devices.data;
+}
+
+async function dispatchMatchEvents(events) {
+  const devices = await getPushDevices();
+  for (const ev of events) {
+    const recipients = devices.filter((d) => deviceWantsEvent(d, ev));
+    if (!recipients.length) continue;
+    const notification = formatMatchNotification(ev);
+    await runWithConcurrency(recipients, 10, (d) => sendPush(d, notification));
+  }
+}
+
+async function sendPush(device, notification) {
+  const sender = senderForDevice(device);
+  try {
+    const result = await sender.send(device, notification);
+    if (result === 'unregistered' && supabaseAdmin) {
+      await supabaseAdmin.from('push_devices').update({ enabled: false }).eq('token', device.token);
+      pushState.devices.expires = 0;
+    }
+  } catch (e) {
+    console.warn('Push failed', sender.name, e.message);
+  }
+}
+
+// JWTs for the FCM OAuth exchange (RS256) and APNs provider tokens (ES256)
+function signJwt(payload, { alg, key, kid }) {
+  const header = kid ? { alg, kid } : { alg, typ: 'JWT' };
+  const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  let signature;
+  if (alg === 'HS256') signature = crypto.createHmac('sha256', key).update(unsigned).digest();
+  else if (alg === 'RS256') signature = crypto.sign('sha256', Buffer.from(unsigned), key);
+  else if (alg === 'ES256') signature = crypto.sign('sha256', Buffer.from(unsigned), { key, dsaEncoding: 'ieee-p1363' });
+  else throw new Error(`Unsupported JWT alg ${alg}`);
+  return `${unsigned}.${base64url(signature)}`;
+}
+
+function createConsoleSender() {
+  return {
+    name: 'console',
+    configured: true,
+    async send(device, n) {
+      console.log(`[push] ${device.platform} ${device.token.slice(0, 12)}... ${n.title} - ${n.body}`);
+    },
+  };
+}
+
+function createFileSender(file) {
+  return {
+    name: 'file',
+    configured: true,
+    async send(device, n) {
+      const line = JSON.stringify({ at: new Date().toISOString(), token: device.token, platform: device.platform, ...n });
+      await fs.promises.appendFile(file, `${line}\n`);
+    },
+  };
+}
+
+// Firebase Cloud Messaging HTTP v1 API with a service account
+function createFcmSender() {
+  const projectId = process.env.FCM_PROJECT_ID;
+  const clientEmail = process.env.FCM_CLIENT_EMAIL;
+  const privateKey = (process.env.FCM_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+  let accessToken = { value: null, expires: 0 };
+
+  async function getAccessToken() {
+    if (accessToken.value && accessToken.expires > now()) return accessToken.value;
+    const iat = Math.floor(now() / 1000);
+    const assertion = signJwt({
+      iss: clientEmail,
+      scope: 'https://www.googleapis.com/auth/firebase.messaging',
+      aud: 'https://oauth2.googleapis.com/token',
+      iat,
+      exp: iat + 3600,
+    }, { alg: 'RS256', key: privateKey });
+    const json = await fetchJson('https://oauth2.googleapis.com/token', {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion }).toString(),
+    });
+    accessToken = { value: json.access_token, expires: now() + ((json.expires_in || 3600) - 300) * 1000 };
+    return accessToken.value;
+  }
+
+  return {
+    name: 'fcm',
+    configured: !!(projectId && clientEmail && privateKey),
+    async send(device, n) {
+      const token = await getAccessToken();
+      const res = await fetch(`https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`, {
+        method: 'POST',
+        headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+        body: JSON.stringify({
+          message: { token: device.token, notification: { title: n.title, body: n.body }, data: n.data },
+        }),
+      });
+      if (res.status === 404) return 'unregistered';
+      if (!res.ok) throw new Error(`fcm ${res.status}`);
+    },
+  };
+}
+
+// Apple Push Notification service over HTTP/2 with a .p8 token key
+function createApnsSender() {
+  const keyId = process.env.APNS_KEY_ID;
+  const teamId = process.env.APNS_TEAM_ID;
+  const bundleId = process.env.APNS_BUNDLE_ID;
+  const privateKey = (process.env.APNS_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+  const host = process.env.APNS_PRODUCTION === 'true'
+    ? 'https://api.push.apple.com'
+    : 'https://api.sandbox.push.apple.com';
+  let providerToken = { value: null, expires: 0 };
+  let session = null;
+
+  function getProviderToken() {
+    // Apple rejects tokens older than an hour and throttles refreshes under 20 minutes
+    if (providerToken.value && providerToken.expires > now()) return providerToken.value;
+    const value = signJwt({ iss: teamId, iat: Math.floor(now() / 1000) }, { alg: 'ES256', key: privateKey, kid: keyId });
+    providerToken = { value, expires: now() + 50 * 60 * 1000 };
+    return value;
+  }
+
+  function getSession() {
+    if (!session || session.closed || session.destroyed) {
+      session = http2.connect(host);
+      session.on('error', (e) => { console.warn('APNs session error', e.message); session = null; });
+      session.unref();
+    }
+    return session;
+  }
+
+  return {
+    name: 'apns',
+    configured: !!(keyId && teamId && bundleId && privateKey),
+    send(device, n) {
+      return new Promise((resolve, reject) => {
+        const req = getSession().request({
+          ':method': 'POST',
+          ':path': `/3/device/${device.token}`,
+          authorization: `bearer ${getProviderToken()}`,
+          'apns-topic': bundleId,
+          'apns-push-type': 'alert',
+          'content-type': 'application/json',
+        });
+        let status = 0;
+        let body = '';
+        req.setEncoding('utf8');
+        req.setTimeout(10000, () => {
+          req.close(http2.constants.NGHTTP2_CANCEL);
+          reject(new Error('Request timeout'));
+        });
+        req.on('response', (headers) => { status = headers[':status']; });
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('error', reject);
+        req.on('end', () => {
+          if (status === 200) return resolve();
+          if (status === 410 || body.includes('BadDeviceToken')) return resolve('unregistered');
+          reject(new Error(`apns ${status} ${body}`));
+        });
+        req.end(JSON.stringify({ aps: { alert: { title: n.title, body: n.body }, sound: 'default' }, ...n.data }));
+      });
+    },
+  };
+}
+
+const pushSenders = {
+  console: createConsoleSender(),
+  file: createFileSender(PUSH_LOG_FILE),
+  fcm: createFcmSender(),
+  apns: createApnsSender(),
+};
+
+function senderForDevice(device) {
+  if (PUSH_SENDER) return pushSenders[PUSH_SENDER] || pushSenders.console;
+  const sender = device.platform === 'ios' ? pushSenders.apns : pushSenders.fcm;
+  return sender.configured ? sender : pushSenders.console;
+}
+
+// Followed teams and leagues are tag ids, names or provider-scoped ids
+// (`af-33`). A bare number could be either provider's team, so it is rejected
+// by followListValidator and never stored.
+const isBareProviderId = (v) => /^\d+$/.test(`${v}`.trim());
+
+const normalizeFollowList = (list) => (Array.isArray(list) ? list : [])
+  .map((v) => `${v}`.trim().toLowerCase())
+  .filter((v) => v && !isBareProviderId(v));
+
+const followListValidator = (field) => body(field).optional().isArray({ max: 100 })
+  .custom((list) => !list.some(isBareProviderId))
+  .withMessage(`\`${field}\` ids need their provider prefix, e.g. af-33`);
+
+// A device proves it owns its hash by sending the secret it was derived from
+// (deviceIdHash = sha256 hex of deviceSecret); the hash alone is sent with
+// every vote and isn't enough to claim the device's data.
+function deviceHashFromSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+app.post('/devices', [
+  body('token').isString().trim().isLength({ min: 16, max: 4096 }),
+  body('platform').isIn(['ios', 'android', 'web']),
+  followListValidator('teams'),
+  followListValidator('leagues'),
+  body('events').optional().isArray().custom((list) => list.every((t) => MATCH_EVENT_TYPES.includes(t))),
+  body('deviceSecret').optional().isString().isLength({ min: 32, max: 256 }),
+  handleValidation
+], asyncHandler(async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Push notifications not configured' });
+    const { token, platform, teams, leagues, events, deviceSecret } = req.body;
+    // A device linked to an account with a saved profile keeps the profile's
+    // follows; re-registering the token must not overwrite them
+    const { data: existing, error: lookupErr } = await supabaseAdmin
+      .from('push_devices').select('user_id').eq('token', token).maybeSingle();
+    if (lookupErr) throw lookupErr;
+    let profile = null;
+    if (existing?.user_id) {
+      const { data, error: profileErr } = await supabaseAdmin
+        .from('user_profiles').select('user_id').eq('user_id', existing.user_id).maybeSingle();
+      if (profileErr) throw profileErr;
+      profile = data;
+    }
+    const row = {
+      token,
+      platform,
+      enabled: true,
+      updated_at: new Date().toISOString(),
+    };
+    if (deviceSecret) row.device_hash = deviceHashFromSecret(deviceSecret);
+    if (!profile) {
+      Object.assign(row, { teams: normalizeFollowList(teams), leagues: normalizeFollowList(leagues), events: events || [] });
+    }
+    const { error } = await supabaseAdmin.from('push_devices').upsert(row, { onConflict: 'token' });
+    if (error) throw error;
+    pushState.devices.expires = 0;
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+}));
+
+app.post('/devices/unregister', [
+  body('token').isString().trim().isLength({ min: 16, max: 4096 }),
+  handleValidation
+], asyncHandler(async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Push notifications not configured' });
+    const { error } = await supabaseAdmin.from('push_devices').update({ enabled: false }).eq('token', req.body.token);
+    if (error) throw error;
+    pushState.devices.expires = 0;
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to unregister device' });
+  }
+}));
+
+// User profiles
+// Followed teams, leagues and channels plus notification preferences for a
+// signed-in user. Saving a profile also updates every push device linked to
+// the account, so favourites follow the user across devices.
+const DEFAULT_NOTIFICATION_PREFS = { enabled: true, events: [] };
+
+function toUserProfile(user, row) {
+  return {
+    id: user.id,
+    email: user.email,
+    teams: row?.teams || [],
+    leagues: row?.leagues || [],
+    channels: row?.channels || [],
+    notifications: { ...DEFAULT_NOTIFICATION_PREFS, ...(row?.notifications || {}) },
+    updatedAt: row?.updated_at || null,
+  };
+}
+
+async function loadUserProfile(user) {
+  const { data, error } = await supabaseAdmin.from('user_profiles').select('*').eq('user_id', user.id).maybeSingle();
+  if (error) throw error;
+  return toUserProfile(user, data);
+}
+
+async function syncProfileToDevices(profile) {
+  const { error } = await supabaseAdmin.from('push_devices').update({
+    teams: profile.teams,
+    leagues: profile.leagues,
+    events: profile.notifications.events,
+    muted: !profile.notifications.enabled,
+    updated_at: new Date().toISOString(),
+  }).eq('user_id', profile.id);
+  if (error) throw error;
+  pushState.devices.expires = 0;
+}
+
+app.get('/me', requireUser, asyncHandler(async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Profiles not configured' });
+    res.json(await loadUserProfile(req.user));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to load profile' });
+  }
+}));
+
+app.patch('/me', requireUser, [
+  followListValidator('teams'),
+  followListValidator('leagues'),
+  body('channels').optional().isArray({ max: 100 }),
+  body('channels.*').optional().isString().trim().matches(/^@[\w.-]{1,100}$/),
+  body('notifications').optional().isObject(),
+  body('notifications.enabled').optional().isBoolean(),
+  body('notifications.events').optional().isArray().custom((list) => list.every((t) => MATCH_EVENT_TYPES.includes(t))),
+  handleValidation
+], asyncHandler(async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Profiles not configured' });
+    const current = await loadUserProfile(req.user);
+    const { teams, leagues, channels, notifications } = req.body;
+    const profile = {
+      ...current,
+      teams: teams !== undefined ? normalizeFollowList(teams) : current.teams,
+      leagues: leagues !== undefined ? normalizeFollowList(leagues) : current.leagues,
+      channels: channels !== undefined ? normalizeFollowList(channels) : current.channels,
+      notifications: {
+        enabled: notifications?.enabled ?? current.notifications.enabled,
+        events: notifications?.events ?? current.notifications.events,
+      },
+    };
+    const { data, error } = await supabaseAdmin.from('user_profiles').upsert({
+      user_id: req.user.id,
+      teams: profile.teams,
+      leagues: profile.leagues,
+      channels: profile.channels,
+      notifications: profile.notifications,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'user_id' }).select('*').single();
+    if (error) throw error;
+    await syncProfileToDevices(profile);
+    res.json(toUserProfile(req.user, data));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to save profile' });
+  }
+}));
+
+// Called on sign-in: attaches the device's anonymous poll votes, predictions
+// and push registrations to the account
+app.post('/me/link-device', requireUser, [
+  body('deviceSecret').isString().isLength({ min: 32, max: 256 }),
+  handleValidation
+], asyncHandler(async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Profiles not configured' });
+    const deviceIdHash = deviceHashFromSecret(req.body.deviceSecret);
+    const { data: votes, error: voteErr } = await supabaseAdmin
+      .from('poll_votes')
+      .update({ user_id: req.user.id })
+      .eq('device_hash', deviceIdHash)
+      .is('user_id', null)
+      .select('poll_id');
+    if (voteErr) throw voteErr;
+    const { data: devices, error: deviceErr } = await supabaseAdmin
+      .from('push_devices')
+      .update({ user_id: req.user.id })
+      .eq('device_hash', deviceIdHash)
+      .select('token');
+    if (deviceErr) throw deviceErr;
+    const { data: predictions, error: predictionErr } = await supabaseAdmin
+      .rpc('link_device_predictions', { p_device_hash: deviceIdHash, p_user_id: req.user.id });
+    if (predictionErr) throw predictionErr;
+    // Devices pick up the account's favourites once it has a saved profile
+    const { data: saved, error: profileErr } = await supabaseAdmin
+      .from('user_profiles').select('*').eq('user_id', req.user.id).maybeSingle();
+    if (profileErr) throw profileErr;
+    if (saved && devices.length) await syncProfileToDevices(toUserProfile(req.user, saved));
+    res.json({ ok: true, linkedVotes: votes.length, linkedDevices: devices.length, linkedPredictions: predictions });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to link device' });
+  }
+}));
+
+// Match detail: timeline, lineups and statistics for a single fixture
+const TTL_MATCH_LIVE = 30 * 1000;
+const TTL_MATCH_SCHEDULED = TEN_MIN;
+const TTL_MATCH_FINISHED = 12 * ONE_HOUR;
+
+function matchDetailTtl(match) {
+  const phase = matchPhase(match.status);
+  if (phase === 'live' || phase === 'halftime') return TTL_MATCH_LIVE;
+  if (phase === 'finished') return TTL_MATCH_FINISHED;
+  return TTL_MATCH_SCHEDULED;
+}
+
+// "Shots on Goal" / "Shots On Goal" -> "shots_on_goal"
+function statKey(label) {
+  return `${label || ''}`.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function statValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(`${value}`.replace('%', ''));
+  return Number.isFinite(n) ? n : `${value}`;
+}
+
+function emptyLineup() {
+  return { formation: null, coach: null, startXI: [], substitutes: [] };
+}
+
+function normalizeApiFootballEventType(ev) {
+  if (ev.type === 'Goal') return 'goal';
+  if (ev.type === 'Card') return 'card';
+  if (ev.type === 'subst') return 'substitution';
+  if (ev.type === 'Var') return 'var';
+  return 'other';
+}
+
+async function fetchMatchApiFootball(id) {
+  const [fixtures, events, lineups, statistics] = await Promise.all([
+    fetchApiFootball(`/fixtures?id=${encodeURIComponent(id)}`),
+    fetchApiFootball(`/fixtures/events?fixture=${encodeURIComponent(id)}`),
+    fetchApiFootball(`/fixtures/lineups?fixture=${encodeURIComponent(id)}`),
+    fetchApiFootball(`/fixtures/statistics?fixture=${encodeURIComponent(id)}`),
+  ]);
+  const m = fixtures[0];
+  if (!m) return null;
+  const homeId = m.teams?.home?.id;
+  const sideOf = (teamId) => (teamId === homeId ? 'home' : 'away');
+
+  const lineupFor = (side) => {
+    const l = lineups.find((x) => sideOf(x.team?.id) === side);
+    if (!l) return emptyLineup();
+    const player = (p) => ({ name: p.player?.name || null, number: p.player?.number ?? null, position: p.player?.pos || null });
+    return {
+      formation: l.formation || null,
+      coach: l.coach?.name || null,
+      startXI: (l.startXI || []).map(player),
+      substitutes: (l.substitutes || []).map(player),
+    };
+  };
+
+  const statsBySide = { home: new Map(), away: new Map() };
+  for (const s of statistics) {
+    for (const st of s.statistics || []) statsBySide[sideOf(s.team?.id)].set(st.type, st.value);
+  }
+  const statLabels = new Set([...statsBySide.home.keys(), ...statsBySide.away.keys()]);
+
+  return {
+    ...normalizeApiFootballFixture({ ...m, events }),
+    venue: { name: m.fixture?.venue?.name || null, city: m.fixture?.venue?.city || null },
+    referee: m.fixture?.referee || null,
+    events: events.map((ev) => ({
+      minute: ev.time?.elapsed ?? null,
+      extra: ev.time?.extra ?? null,
+      type: normalizeApiFootballEventType(ev),
+      detail: ev.detail || null,
+      team: sideOf(ev.team?.id),
+      player: ev.player?.name || null,
+      // For substitutions API-Football reports the player coming on as the "assist"
+      assist: ev.assist?.name || null,
+    })),
+    lineups: { home: lineupFor('home'), away: lineupFor('away') },
+    statistics: [...statLabels].map((label) => ({
+      type: statKey(label),
+      label,
+      home: statValue(statsBySide.home.get(label)),
+      away: statValue(statsBySide.away.get(label)),
+    })),
+  };
+}
+
+function parseAllSportsMinute(time) {
+  const m = /^(\d+)(?:\+(\d+))?/.exec(`${time || ''}`);
+  return { minute: m ? parseInt(m[1], 10) : null, extra: m && m[2] ? parseInt(m[2], 10) : null };
+}
+
+async function fetchMatchAllSports(id) {
+  const arr = await fetchAllSports({ met: 'Fixtures', matchId: id });
+  const m = arr[0];
+  if (!m) return null;
+
+  const events = [];
+  for (const g of m.goalscorers || []) {
+    const side = g.home_scorer ? 'home' : 'away';
+    events.push({
+      ...parseAllSportsMinute(g.time),
+      type: 'goal',
+      detail: g.info || 'Goal',
+      team: side,
+      player: g[`${side}_scorer`] || null,
+      assist: g[`${side}_assist`] || null,
+    });
+  }
+  for (const c of m.cards || []) {
+    const side = c.home_fault ? 'home' : 'away';
+    events.push({
+      ...parseAllSportsMinute(c.time),
+      type: 'card',
+      detail: c.card ? c.card.replace(/\b\w/g, (ch) => ch.toUpperCase()) : null,
+      team: side,
+      player: c[`${side}_fault`] || null,
+      assist: null,
+    });
+  }
+  for (const s of m.substitutes || []) {
+    const side = s.home_scorer && s.home_scorer.in ? 'home' : 'away';
+    const sub = s[`${side}_scorer`] || {};
+    events.push({
+      ...parseAllSportsMinute(s.time),
+      type: 'substitution',
+      detail: 'Substitution',
+      team: side,
+      player: sub.out || null,
+      assist: sub.in || null,
+    });
+  }
+  events.sort((a, b) => (a.minute ?? 0) - (b.minute ?? 0) || (a.extra ?? 0) - (b.extra ?? 0));
+
+  const lineupFor = (side) => {
+    const l = m.lineups?.[`${side}_team`];
+    if (!l) return emptyLineup();
+    const player = (p) => ({ name: p.player || null, number: p.player_number ?? null, position: p.player_position ?? null });
+    return {
+      formation: m[`event_${side}_formation`] || null,
+      coach: l.coaches?.[0]?.coache || null,
+      startXI: (l.starting_lineups || []).map(player),
+      substitutes: (l.substitutes || []).map(player),
+    };
+  };
+
+  return {
+    ...normalizeAllSportsFixture(m),
+    venue: { name: m.event_stadium || null, city: null },
+    referee: m.event_referee || null,
+    events,
+    lineups: { home: lineupFor('home'), away: lineupFor('away') },
+    statistics: (m.statistics || []).map((s) => ({
+      type: statKey(s.type),
+      label: s.type,
+      home: statValue(s.home),
+      away: statValue(s.away),
+    })),
+  };
+}
+
+async function getMatchDetail(id) {
+  const entry = await loadCachedMapEntry(cache.matches, id, `match:${id}`);
+  if (entry && entry.expires > now()) return entry.data;
+  return singleFlight(`match:${id}`, async () => {
+    const { data, failed } = await fetchCachedFromProviders(entry, 'match', `match ${id}`, [id], (match) => match);
+    if (failed && !data) throw new Error('All score providers failed');
+    if (failed) return data;
+    if (!data) return null;
+    cache.matches.set(id, writeCacheEntry(`match:${id}`, { data, expires: now() + matchDetailTtl(data) }));
+    return data;
+  });
+}
+
+app.get('/matches/:id', [
+  param('id').isString().matches(/^[\w-]{1,32}$/),
+  handleValidation
+], asyncHandler(async (req, res) => {
+  try {
+    const data = await getMatchDetail(req.params.id);
+    if (!data) return res.status(404).json({ error: 'Match not found' });
+    res.set('Cache-Control', `public, max-age=${Math.floor(matchDetailTtl(data) / 1000)}`);
+    res.json(data);
+  } catch (e) {
+    console.error('Match error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch match' });
+  }
+}));
+
+// Leagues, standings and per-competition fixture lists
+const TTL_LEAGUES = 24 * ONE_HOUR;
+const TTL_STANDINGS = TEN_MIN;
+const TTL_LEAGUE_FIXTURES = TEN_MIN;
+
+// European seasons start in summer; used when the provider doesn't say which season is current
+function defaultSeason() {
+  const d = new Date();
+  return d.getUTCMonth() >= 6 ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+}
+
+async function fetchLeaguesApiFootball() {
+  const arr = await fetchApiFootball('/leagues?current=true');
+  return arr.map((l) => ({
+    id: scopedId('api-football', l.league?.id),
+    name: l.league?.name || 'League',
+    type: l.league?.type || null,
+    logo: l.league?.logo || null,
+    country: l.country?.name || '',
+    countryFlag: l.country?.flag || null,
+    season: (l.seasons || []).find((s) => s.current)?.year ?? null,
+  }));
+}
+
+async function fetchLeaguesAllSports() {
+  const arr = await fetchAllSports({ met: 'Leagues' });
+  return arr.map((l) => ({
+    id: scopedId('allsports', l.league_key),
+    name: l.league_name || 'League',
+    type: null,
+    logo: l.league_logo || null,
+    country: l.country_name || '',
+    countryFlag: l.country_logo || null,
+    season: null,
+  }));
+}
+
+async function getLeagues() {
+  cache.leagues = await loadCacheEntry('leagues', cache.leagues);
+  if (cache.leagues.data && cache.leagues.expires > now()) return cache.leagues.data;
+  return singleFlight('leagues', async () => {
+    const { data, failed } = await fetchCachedFromProviders(cache.leagues, 'leagues', 'leagues', [], (items) => ({ items }));
+    if (failed && !data) throw new Error('All score providers failed');
+    if (failed) return data;
+    const fresh = data || { items: [], provider: null, stale: false };
+    cache.leagues = writeCacheEntry('leagues', { data: fresh, expires: now() + TTL_LEAGUES });
+    return fresh;
+  });
+}
+
+// Standings and league fixtures are keyed by request input, so only leagues
+// in the provider's league list are fetched, empty answers stay out of the
+// store, and each map keeps its MAX_LEAGUE_CACHE_ENTRIES most recent keys
+const MAX_LEAGUE_CACHE_ENTRIES = 200;
+
+async function findLeague(leagueId) {
+  const { items } = await getLeagues();
+  return items.find((l) => l.id === `${leagueId}`) || null;
+}
+
+function resolveSeason(league, season) {
+  if (season) return parseInt(season, 10);
+  return league.season || defaultSeason();
+}
+
+function rememberLeagueEntry(map, key, storeKey, entry, empty) {
+  map.delete(key);
+  if (map.size >= MAX_LEAGUE_CACHE_ENTRIES) map.delete(map.keys().next().value);
+  map.set(key, empty ? entry : writeCacheEntry(storeKey, entry));
+}
+
+async function fetchStandingsApiFootball(leagueId, season) {
+  const arr = await fetchApiFootball(`/standings?league=${encodeURIComponent(leagueId)}&season=${season}`);
+  const groups = arr[0]?.league?.standings || [];
+  return groups.map((rows) => ({
+    group: rows[0]?.group || null,
+    rows: rows.map((r) => ({
+      position: r.rank,
+      team: { id: r.team?.id ? scopedId('api-football', r.team.id) : '', name: r.team?.name || 'Team', logo: r.team?.logo || null },
+      played: r.all?.played ?? 0,
+      won: r.all?.win ?? 0,
+      drawn: r.all?.draw ?? 0,
+      lost: r.all?.lose ?? 0,
+      goalsFor: r.all?.goals?.for ?? 0,
+      goalsAgainst: r.all?.goals?.against ?? 0,
+      goalDifference: r.goalsDiff ?? 0,
+      points: r.points ?? 0,
+      form: r.form || null,
+      description: r.description || null,
+    })),
+  }));
+}
+
+async function fetchStandingsAllSports(leagueId) {
+  const result = await fetchAllSports({ met: 'Standings', leagueId });
+  const rows = Array.isArray(result) ? result : (result.total || []);
+  // AllSportsAPI returns one flat table; groups (e.g. cup stages) are tagged per row
+  const byGroup = new Map();
+  for (const r of rows) {
+    const group = r.league_round || null;
+    if (!byGroup.has(group)) byGroup.set(group, []);
+    byGroup.get(group).push({
+      position: parseInt(r.standing_place, 10),
+      team: { id: r.team_key ? scopedId('allsports', r.team_key) : '', name: r.standing_team || 'Team', logo: r.team_logo || null },
+      played: parseInt(r.standing_P, 10) || 0,
+      won: parseInt(r.standing_W, 10) || 0,
+      drawn: parseInt(r.standing_D, 10) || 0,
+      lost: parseInt(r.standing_L, 10) || 0,
+      goalsFor: parseInt(r.standing_F, 10) || 0,
+      goalsAgainst: parseInt(r.standing_A, 10) || 0,
+      goalDifference: parseInt(r.standing_GD, 10) || 0,
+      points: parseInt(r.standing_PTS, 10) || 0,
+      form: null,
+      description: r.standing_place_type || null,
+    });
+  }
+  return [...byGroup.entries()].map(([group, groupRows]) => ({
+    group,
+    rows: groupRows.sort((a, b) => a.position - b.position),
+  }));
+}
+
+// Resolves to null for a league the providers don't list
+async function getStandings(leagueId, seasonParam) {
+  const league = await findLeague(leagueId);
+  if (!league) return null;
+  const season = resolveSeason(league, seasonParam);
+  const key = `${leagueId}:${season}`;
+  const entry = await loadCachedMapEntry(cache.standings, key, `standings:${key}`);
+  if (entry && entry.expires > now()) return entry.data;
+  return singleFlight(`standings:${key}`, async () => {
+    const { data, failed } = await fetchCachedFromProviders(
+      entry, 'standings', `standings ${key}`, [leagueId, season],
+      (standings) => ({ leagueId: `${leagueId}`, season, standings })
+    );
+    if (failed && !data) throw new Error('All score providers failed');
+    if (failed) return data;
+    const fresh = data || { leagueId: `${leagueId}`, season, standings: [], provider: null, stale: false };
+    rememberLeagueEntry(cache.standings, key, `standings:${key}`, { data: fresh, expires: now() + TTL_STANDINGS }, !fresh.standings.length);
+    return fresh;
+  });
+}
+
+async function fetchLeagueFixturesApiFootball(leagueId, season) {
+  const arr = await fetchApiFootball(`/fixtures?league=${encodeURIComponent(leagueId)}&season=${season}`);
+  return arr.map(normalizeApiFootballFixture);
+}
+
+async function fetchLeagueFixturesAllSports(leagueId, season) {
+  // AllSportsAPI has no season filter, so request the season's date span
+  const arr = await fetchAllSports({ met: 'Fixtures', leagueId, from: `${season}-07-01`, to: `${season + 1}-06-30` });
+  return arr.map(normalizeAllSportsFixture);
+}
+
+async function getLeagueFixtures(leagueId, seasonParam) {
+  const league = await findLeague(leagueId);
+  if (!league) return null;
+  const season = resolveSeason(league, seasonParam);
+  const key = `${leagueId}:${season}`;
+  const entry = await loadCachedMapEntry(cache.leagueFixtures, key, `leagueFixtures:${key}`);
+  if (entry && entry.expires > now()) return entry.data;
+  return singleFlight(`leagueFixtures:${key}`, async () => {
+    const { data, failed } = await fetchCachedFromProviders(
+      entry, 'leagueFixtures', `fixtures ${key}`, [leagueId, season],
+      (items) => ({
+        leagueId: `${leagueId}`,
+        season,
+        items: items.sort((a, b) => new Date(a.datetime || 0) - new Date(b.datetime || 0)),
+      })
+    );
+    if (failed && !data) throw new Error('All score providers failed');
+    if (failed) return data;
+    const fresh = data || { leagueId: `${leagueId}`, season, items: [], provider: null, stale: false };
+    rememberLeagueEntry(cache.leagueFixtures, key, `leagueFixtures:${key}`, { data: fresh, expires: now() + TTL_LEAGUE_FIXTURES }, !fresh.items.length);
+    return fresh;
+  });
+}
+
+app.get('/leagues', [
+  query('country').optional().isString().trim().isLength({ max: 100 }),
+  handleValidation
+], asyncHandler(async (req, res) => {
+  try {
+    const data = await getLeagues();
+    const country = (req.query.country || '').toLowerCase();
+    const items = country ? data.items.filter((l) => l.country.toLowerCase() === country) : data.items;
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json({ items, provider: data.provider, stale: data.stale });
+  } catch (e) {
+    console.error('Leagues error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch leagues' });
+  }
+}));
+
+app.get('/leagues/:id/standings', [
+  param('id').matches(/^[a-z]{2}-\d{1,10}$/),
+  query('season').optional().isInt({ min: 1990, max: 2100 }),
+  handleValidation
+], asyncHandler(async (req, res) => {
+  try {
+    const data = await getStandings(req.params.id, req.query.season);
+    if (!data) return res.status(404).json({ error: 'League not found' });
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(data);
+  } catch (e) {
+    console.error('Standings error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch standings' });
+  }
+}));
+
+app.get('/leagues/:id/fixtures', [
+  param('id').matches(/^[a-z]{2}-\d{1,10}$/),
+  query('season').optional().isInt({ min: 1990, max: 2100 }),
+  handleValidation
+], asyncHandler(async (req, res) => {
+  try {
+    const data = await getLeagueFixtures(req.params.id, req.query.season);
+    if (!data) return res.status(404).json({ error: 'League not found' });
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(data);
+  } catch (e) {
+    console.error('League fixtures error:', e.message);
+    res.status(500).json({ error: 'Failed to fetch fixtures' });
+  }
+}));
+
+// Admin endpoints (see requireAdmin)
+// The panel page holds no data; everything it shows comes from the API
+app.get('/admin', (_req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// Admin accounts and audit log
+// Passwords are stored as scrypt hashes. ADMIN_MAX_FAILED_LOGINS failures in
+// a row lock an account for ADMIN_LOCKOUT_MINUTES. Every successful admin
+// mutation (any non-GET /admin request) and every login attempt is appended
+// to `admin_audit_log`, which the database keeps append-only.
+const ADMIN_MAX_FAILED_LOGINS = parseInt(process.env.ADMIN_MAX_FAILED_LOGINS || '5', 10);
+const ADMIN_LOCKOUT = parseInt(process.env.ADMIN_LOCKOUT_MINUTES || '15', 10) * 60 * 1000;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const AUDIT_PAGE_SIZE = 50;
+
+function scryptAsync(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, params, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = `${stored || ''}`.split('$');
+  if (scheme !== 'scrypt') {
+    // Same work as a real check, so unknown accounts take as long as wrong passwords
+    await scryptAsync(password, 'unknown-account', SCRYPT_PARAMS);
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), { N: +N, r: +r, p: +p });
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function toAdminAccount(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    disabled: row.disabled,
+    lockedUntil: row.locked_until && Date.parse(row.locked_until) > now() ? row.locked_until : null,
+    lastLoginAt: row.last_login_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+function writeAuditLog(req, action, { admin = req.admin, target = null, details = null } = {}) {
+  if (!supabaseAdmin) return;
+  supabaseAdmin.from('admin_audit_log').insert({
+    admin_id: admin?.id || null,
+    admin_email: admin?.email || null,
+    action,
+    target,
+    details,
+    ip_hash: hashVoterIp(req.ip),
+  }).then(({ error }) => {
+    if (error) console.error('Audit log write failed', action, error.message);
+  });
+}
+
+// Names of the fields a request changed; values stay out of the log
+const auditFields = (b) => Object.keys(b || {}).filter((k) => !/password|secret/i.test(k));
+
+// Records each successful mutation with its route, the id it touched and the
+// fields it sent. The log is append-only, so response bodies are not kept.
+app.use('/admin', (req, res, next) => {
+  if (req.method === 'GET') return next();
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    // Route params are only set while the handler runs; creates answer with
+    // the new row, e.g. { ok: true, feed: { id } }
+    res.locals.auditTarget = req.params?.id
+      ?? Object.values(payload || {}).find((v) => v?.id !== undefined)?.id
+      ?? null;
+    return json(payload);
+  };
+  res.on('finish', () => {
+    if (!req.admin || res.statusCode >= 400) return;
+    writeAuditLog(req, `${req.method} ${req.route?.path || req.originalUrl.split('?')[0]}`, {
+      target: res.locals.auditTarget == null ? null : `${res.locals.auditTarget}`,
+      details: { fields: auditFields(req.body) },
+    });
+  });
+  next();
+});
+
+app.post('/admin/login', [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isString().isLength({ min: 1, max: 200 }),
+  handleValidation
+], asyncHandler(async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    if (!ADMIN_JWT_SECRET) return res.status(503).json({ error: 'Admin sign-in is disabled: ADMIN_JWT_SECRET is not set' });
+    const { email, password } = req.body;
+    const { data: account, error } = await supabaseAdmin
+      .from('admin_users').select('*').eq('email', email).maybeSingle();
+    if (error) throw error;
+    if (account && account.locked_until && Date.parse(account.locked_until) > now()) {
+      return res.status(423).json({ error: 'Account locked after too many failed attempts', lockedUntil: account.locked_until });
+    }
+    const ok = await verifyPassword(password, account?.password_hash);
+    if (!account || !ok || account.disabled) {
+      if (account) {
+        // Counted in the database so parallel attempts can't reset each other's count
+        const { data: locked, error: failErr } = await supabaseAdmin.rpc('record_admin_login_failure', {
+          p_admin_id: account.id,
+          p_max_attempts: ADMIN_MAX_FAILED_LOGINS,
+          p_lockout_seconds: Math.round(ADMIN_LOCKOUT / 1000),
+        });
+        if (failErr) throw failErr;
+        writeAuditLog(req, locked ? 'login_locked' : 'login_failed', { admin: account, target: account.email });
+      }
+      return setTimeout(() => res.status(401).json({ error: 'Invalid email or password' }), 1000);
+    }
+    await supabaseAdmin.from('admin_users').update({
+      failed_attempts: 0,
+      locked_until: null,
+      last_login_at: new Date().toISOString(),
+    }).eq('id', account.id);
+    writeAuditLog(req, 'login', { admin: account, target: account.email });
+
+    const expiresAt = now() + ADMIN_SESSION_TTL;
+    const token = signJwt(
+      { typ: 'admin', sub: account.id, email: account.email, role: account.role, exp: Math.floor(expiresAt / 1000) },
+      { alg: 'HS256', key: ADMIN_JWT_SECRET }
+    );
+    res.json({ token, expiresAt: new Date(expiresAt).toISOString(), admin: toAdminAccount(account) });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to sign in' });
+  }
+}));
+
+app.get('/admin/me', requireAdmin, (req, res) => {
+  res.json(req.admin);
+});
+
+app.get('/admin/users', requireOwner, async (_req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const { data, error } = await supabaseAdmin.from('admin_users').select('*').order('created_at', { ascending: true });
+    if (error) throw error;
+    res.json({ items: data.map(toAdminAccount) });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to list admins' });
+  }
+});
+
+app.post('/admin/users', requireOwner, [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isString().isLength({ min: 12, max: 200 }),
+  body('role').isIn(ADMIN_ROLES),
+  handleValidation
+], asyncHandler(async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const { email, password, role } = req.body;
+    const { data, error } = await supabaseAdmin.from('admin_users')
+      .insert({ email, role, password_hash: await hashPassword(password) })
+      .select('*')
+      .single();
+    if (error && error.code === '23505') return res.status(409).json({ error: 'Admin already exists' });
+    if (error) throw error;
+    res.json({ ok: true, admin: toAdminAccount(data) });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to create admin' });
+  }
+}));
+
+// Change role, disable/enable, reset password or lift a lockout
+app.patch('/admin/users/:id', requireOwner, [
+  param('id').isUUID(),
+  body('role').optional().isIn(ADMIN_ROLES),
+  body('disabled').optional().isBoolean(),
+  body('password').optional().isString().isLength({ min: 12, max: 200 }),
+  body('unlock').optional().isBoolean(),
+  handleValidation
+], asyncHandler(async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const { role, disabled, password, unlock } = req.body;
+    if (req.params.id === req.admin.id && (disabled || (role && role !== 'owner'))) {
+      return res.status(400).json({ error: 'You cannot disable or demote your own account' });
+    }
+    const row = {};
+    if (role !== undefined) row.role = role;
+    if (disabled !== undefined) row.disabled = !!disabled;
+    if (password !== undefined) row.password_hash = await hashPassword(password);
+    if (unlock) Object.assign(row, { failed_attempts: 0, locked_until: null });
+    if (!Object.keys(row).length) return res.status(400).json({ error: 'Nothing to update' });
+    const { data, error } = await supabaseAdmin.from('admin_users').update(row).eq('id', req.params.id).select('*').maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Admin not found' });
+    adminAccounts.delete(data.id);
+    res.json({ ok: true, admin: toAdminAccount(data) });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to update admin' });
+  }
+}));
+
+// Newest first; the cursor is the last entry id served
+app.get('/admin/audit', requireOwner, [
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('cursor').optional().isString().custom(isOffsetCursor),
+  handleValidation
+], async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const limit = req.query.limit || AUDIT_PAGE_SIZE;
+    let q = supabaseAdmin.from('admin_audit_log').select('*').order('id', { ascending: false }).limit(limit + 1);
+    if (req.query.cursor) q = q.lt('id', decodeCursor(req.query.cursor)[0]);
+    const { data, error } = await q;
+    if (error) throw error;
+    const items = data.slice(0, limit).map((e) => ({
+      id: e.id,
+      at: e.created_at,
+      adminEmail: e.admin_email,
+      action: e.action,
+      target: e.target,
+      details: e.details,
+    }));
+    res.json({ items, nextCursor: data.length > limit ? encodeCursor([items[items.length - 1].id]) : null });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to load audit log' });
+  }
+});
+
+// Also enforced by create_poll / replace_poll_options
+const POLL_MAX_OPTIONS = 10;
+const POLL_OPTION_MAX_LENGTH = 100;
+
+const uniqueOptions = (list) => new Set(list.map((t) => `${t}`.trim().toLowerCase())).size === list.length;
+
+const pollValidators = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field('question').isString().trim().isLength({ min: 3, max: 300 }),
+    field('options').isArray({ min: 2, max: POLL_MAX_OPTIONS })
+      .custom(uniqueOptions)
+      .withMessage('Options must be unique'),
+    body('options.*').isString().trim().isLength({ min: 1, max: POLL_OPTION_MAX_LENGTH }),
+    field('startsAt').isISO8601(),
+    field('endsAt').isISO8601(),
+    body('isActive').optional().isBoolean(),
+    body('autoSchedule').optional().isBoolean(),
+  ];
+};
+
+function pollDatesInOrder(startsAt, endsAt) {
+  return Date.parse(endsAt) > Date.parse(startsAt);
+}
+
+function toAdminPoll(row) {
+  const { poll_options: options, ...poll } = row;
+  return { ...poll, options: (options || []).sort((a, b) => a.order - b.order) };
+}
+
+// poll + options are inserted by one database function, so a failure leaves nothing behind
+async function createPoll({ question, options, startsAt, endsAt, isActive, autoSchedule, matchId, matchProvider, templateId }) {
+  const { data, error } = await supabaseAdmin.rpc('create_poll', {
+    p_question: question,
+    p_starts_at: startsAt,
+    p_ends_at: endsAt,
+    p_is_active: !!isActive,
+    p_auto_schedule: autoSchedule !== false,
+    p_options: options,
+    p_match_id: matchId || null,
+    p_match_provider: matchProvider || null,
+    p_template_id: templateId || null,
+  });
+  if (error) throw error;
+  return data;
+}
+
+app.get('/admin/polls', requireAdmin, async (_req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const { data, error } = await supabaseAdmin
+      .from('polls')
+      .select('*, poll_options(id, text, order)')
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    res.json({ items: data.map(toAdminPoll) });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to list polls' });
+  }
+});
+
+app.post('/admin/polls', requireAdmin, [...pollValidators(false), handleValidation], async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    if (!pollDatesInOrder(req.body.startsAt, req.body.endsAt)) {
+      return res.status(400).json({ error: '`endsAt` must be after `startsAt`' });
+    }
+    const pollId = await createPoll(req.body);
+    res.json({ ok: true, pollId });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to create poll' });
+  }
+});
+
+// Options can only be replaced while the poll has no votes
+app.patch('/admin/polls/:id', requireAdmin, [param('id').isUUID(), ...pollValidators(true), handleValidation], async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const { data: poll, error: pollErr } = await supabaseAdmin
+      .from('polls').select('id, starts_at, ends_at').eq('id', req.params.id).maybeSingle();
+    if (pollErr) throw pollErr;
+    if (!poll) return res.status(404).json({ error: 'Poll not found' });
+
+    const { question, options, startsAt, endsAt, isActive, autoSchedule } = req.body;
+    if (!pollDatesInOrder(startsAt || poll.starts_at, endsAt || poll.ends_at)) {
+      return res.status(400).json({ error: '`endsAt` must be after `startsAt`' });
+    }
+    // One transaction: a rejected option change leaves the other fields untouched too
+    const { data: updated, error } = await supabaseAdmin.rpc('update_poll', {
+      p_poll_id: poll.id,
+      p_question: question ?? null,
+      p_starts_at: startsAt ?? null,
+      p_ends_at: endsAt ?? null,
+      p_is_active: isActive === undefined ? null : !!isActive,
+      p_auto_schedule: autoSchedule === undefined ? null : !!autoSchedule,
+      p_options: options || null,
+    });
+    if (error && error.message.includes('poll has votes')) {
+      return res.status(409).json({ error: 'Options cannot be changed once votes exist' });
+    }
+    if (error) throw error;
+    if (!updated) return res.status(404).json({ error: 'Poll not found' });
+    if (options) pollTallies.delete(poll.id);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to update poll' });
+  }
+});
+
+app.delete('/admin/polls/:id', requireAdmin, [param('id').isUUID(), handleValidation], async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const { data: deleted, error } = await supabaseAdmin.rpc('delete_poll', { p_poll_id: req.params.id });
+    if (error) throw error;
+    if (!deleted) return res.status(404).json({ error: 'Poll not found' });
+    pollTallies.delete(req.params.id);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to delete poll' });
+  }
+});
+
+// Copies question, options and scheduling into a new poll that starts
+// inactive; dates default to the original's duration starting now
+app.post('/admin/polls/:id/duplicate', requireAdmin, [
+  param('id').isUUID(),
+  body('startsAt').optional().isISO8601(),
+  body('endsAt').optional().isISO8601(),
+  handleValidation
+], async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const { data: source, error } = await supabaseAdmin
+      .from('polls')
+      .select('*, poll_options(id, text, order)')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!source) return res.status(404).json({ error: 'Poll not found' });
+    const original = toAdminPoll(source);
+    const duration = Date.parse(original.ends_at) - Date.parse(original.starts_at);
+    const startsAt = req.body.startsAt || new Date().toISOString();
+    const endsAt = req.body.endsAt || new Date(Date.parse(startsAt) + duration).toISOString();
+    if (!pollDatesInOrder(startsAt, endsAt)) return res.status(400).json({ error: '`endsAt` must be after `startsAt`' });
+    const pollId = await createPoll({
+      question: original.question,
+      options: original.options.map((o) => o.text),
+      startsAt,
+      endsAt,
+      isActive: false,
+      autoSchedule: original.auto_schedule,
+    });
+    res.json({ ok: true, pollId });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to duplicate poll' });
+  }
+});
+
+// A leading ' keeps cells that spreadsheets would run as formulas as plain text
+function csvCell(value) {
+  let text = `${value ?? ''}`;
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per UTC day and option, then an `all` row per option; counted in the database
+app.get('/admin/polls/:id/export.csv', requireAdmin, [param('id').isUUID(), handleValidation], async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const [options, breakdown] = await Promise.all([
+      loadPollOptions([req.params.id]),
+      supabaseAdmin.rpc('poll_vote_breakdown', { p_poll_id: req.params.id }),
+    ]);
+    if (breakdown.error) throw breakdown.error;
+    if (!options.length) return res.status(404).json({ error: 'Poll not found' });
+
+    const totals = new Map(options.map((o) => [o.id, { votes: 0, flagged: 0 }]));
+    const lines = [['day', 'option_id', 'option', 'votes', 'flagged_votes']];
+    const textOf = new Map(options.map((o) => [o.id, o.text]));
+    for (const row of breakdown.data) {
+      lines.push([row.day, row.option_id, textOf.get(row.option_id), row.votes, row.flagged]);
+      const t = totals.get(row.option_id);
+      if (t) {
+        t.votes += Number(row.votes);
+        t.flagged += Number(row.flagged);
+      }
+    }
+    for (const o of options) lines.push(['all', o.id, o.text, totals.get(o.id).votes, totals.get(o.id).flagged]);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="poll-${req.params.id}.csv"`);
+    res.send(lines.map((cells) => cells.map(csvCell).join(',')).join('\r\n') + '\r\n');
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to export poll' });
+  }
+});
+
+app.post('/admin/polls/:id/activate', requireAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const { error } = await supabaseAdmin.from('polls').update({ is_active: true, auto_schedule: false }).eq('id', id);
+    if (error) throw error; res.json({ ok: true });
+  } catch (e) { console.error(e); res.status(500).json({ error: 'Failed' }); }
+});
+
+app.post('/admin/polls/:id/deactivate', requireAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const { error } = await supabaseAdmin.from('polls').update({ is_active: false, auto_schedule: false }).eq('id', id);
+    if (error) throw error; res.json({ ok: true });
+  } catch (e) { console.error(e); res.status(500).json({ error: 'Failed' }); }
+});
+
+// Flagged votes grouped by IP hash, with what they would have added per option
+app.get('/admin/polls/:id/flagged', requireAdmin, [param('id').isUUID(), handleValidation], async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const { data, error } = await supabaseAdmin
+      .from('poll_votes')
+      .select('option_id, ip_hash, flag_reason, created_at')
+      .eq('poll_id', req.params.id)
+      .eq('flagged', true);
+    if (error) throw error;
+    const byIp = new Map();
+    const byOption = {};
+    for (const v of data) {
+      const group = byIp.get(v.ip_hash) || { ipHash: v.ip_hash, votes: 0, reason: v.flag_reason, lastVoteAt: null };
+      group.votes += 1;
+      if (!group.lastVoteAt || v.created_at > group.lastVoteAt) group.lastVoteAt = v.created_at;
+      byIp.set(v.ip_hash, group);
+      byOption[v.option_id] = (byOption[v.option_id] || 0) + 1;
+    }
+    res.json({ total: data.length, byOption, sources: [...byIp.values()].sort((a, b) => b.votes - a.votes) });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to list flagged votes' });
+  }
+});
+
+// Counts an IP's votes again, e.g. a shared network that was flagged by mistake
+app.post('/admin/polls/:id/flagged/:ipHash/clear', requireAdmin, [
+  param('id').isUUID(),
+  param('ipHash').isHexadecimal().isLength({ min: 64, max: 64 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const { data, error } = await supabaseAdmin
+      .from('poll_votes')
+      .update({ flagged: false, flag_reason: VOTE_FLAG_CLEARED })
+      .eq('poll_id', req.params.id)
+      .eq('ip_hash', req.params.ipHash)
+      .eq('flagged', true)
+      .select('device_hash');
+    if (error) throw error;
+    pollTallies.delete(req.params.id);
+    res.json({ ok: true, cleared: data.length });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to clear flagged votes' });
+  }
+});
+
+// Poll templates, instantiated per fixture by the match poll job (see Polls below)
+const templateValidators = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }),
+    field('question').isString().trim().isLength({ min: 3, max: 300 }),
+    field('options').isArray({ min: 1, max: POLL_MAX_OPTIONS })
+      .custom((list) => list.includes(MATCH_POLL_LINEUPS) || list.length >= 2)
+      .withMessage('At least 2 options, or {lineups}')
+      .custom((list) => !list.includes(MATCH_POLL_LINEUPS) || list.length <= POLL_MAX_OPTIONS - 2)
+      .withMessage(`{lineups} needs room for 2 players: at most ${POLL_MAX_OPTIONS - 3} other options`)
+      .custom(uniqueOptions)
+      .withMessage('Options must be unique'),
+    body('options.*').isString().trim().isLength({ min: 1, max: POLL_OPTION_MAX_LENGTH }),
+    field('leagues').isArray({ min: 1, max: 20 }),
+    body('leagues.*').isString().trim().isLength({ min: 1, max: 100 }),
+    body('opensBeforeMinutes').optional().isInt({ min: 0, max: 10080 }).toInt(),
+    body('enabled').optional().isBoolean(),
+  ];
+};
+
+function toTemplateRow(b) {
+  const row = {};
+  if (b.name !== undefined) row.name = b.name;
+  if (b.question !== undefined) row.question = b.question;
+  if (b.options !== undefined) row.options = b.options;
+  if (b.leagues !== undefined) row.leagues = b.leagues;
+  if (b.opensBeforeMinutes !== undefined) row.opens_before_minutes = b.opensBeforeMinutes;
+  if (b.enabled !== undefined) row.enabled = b.enabled;
+  return row;
+}
+
+app.get('/admin/poll-templates', requireAdmin, async (_req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const { data, error } = await supabaseAdmin
+      .from('poll_templates')
+      .select('*')
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    res.json({ items: data });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to list poll templates' });
+  }
+});
+
+app.post('/admin/poll-templates', requireAdmin, [...templateValidators(false), handleValidation], async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const { data, error } = await supabaseAdmin
+      .from('poll_templates')
+      .insert(toTemplateRow(req.body))
+      .select()
+      .single();
+    if (error) throw error;
+    res.json({ ok: true, template: data });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to create poll template' });
+  }
+});
+
+// Changes apply to fixtures instantiated from now on; existing polls are left as they are
+app.patch('/admin/poll-templates/:id', requireAdmin, [param('id').isUUID(), ...templateValidators(true), handleValidation], async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const { data, error } = await supabaseAdmin
+      .from('poll_templates')
+      .update({ ...toTemplateRow(req.body), updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Template not found' });
+    res.json({ ok: true, template: data });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to update poll template' });
+  }
+});
+
+// Polls already created from the template are kept
+app.delete('/admin/poll-templates/:id', requireAdmin, [param('id').isUUID(), handleValidation], async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const { data, error } = await supabaseAdmin
+      .from('poll_templates')
+      .delete()
+      .eq('id', req.params.id)
+      .select('id');
+    if (error) throw error;
+    if (!data.length) return res.status(404).json({ error: 'Template not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to delete poll template' });
+  }
+});
+
+app.get('/admin/quota', requireAdmin, [
+  query('days').optional().isInt({ min: 1, max: 90 }).toInt(),
+  handleValidation
+], async (req, res) => {
+  try {
+    const history = await quotaHistory(req.query.days || 30);
+    res.json({ youtube: quotaStatus(), history });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to load quota history' });
+  }
+});
+
+const channelValidators = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field('handle').isString().trim().matches(/^@[\w.-]{1,100}$/),
+    body('enabled').optional().isBoolean(),
+    body('displayOrder').optional().isInt({ min: 0, max: 100000 }),
+    body('sport').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+    body('leagues').optional().isArray({ max: 20 }),
+    body('leagues.*').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    body('videoLimit').optional().isInt({ min: 1, max: 50 }),
+  ];
+};
+
+function channelRowFromBody(b) {
+  const row = {};
+  if (b.handle !== undefined) row.handle = b.handle;
+  if (b.enabled !== undefined) row.enabled = !!b.enabled;
+  if (b.displayOrder !== undefined) row.display_order = parseInt(b.displayOrder, 10);
+  if (b.sport !== undefined) row.sport = b.sport || null;
+  if (b.leagues !== undefined) row.leagues = b.leagues;
+  if (b.videoLimit !== undefined) row.video_limit = parseInt(b.videoLimit, 10);
+  return row;
+}
+
+app.get('/admin/channels', requireOwner, async (_req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const { data, error } = await supabaseAdmin.from('channels').select('*').order('display_order', { ascending: true });
+    if (error) throw error;
+    res.json({ items: data.map(toChannelConfig) });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to list channels' });
+  }
+});
+
+app.post('/admin/channels', requireOwner, [...channelValidators(false), handleValidation], async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const row = { enabled: true, video_limit: DEFAULT_CHANNEL_VIDEO_LIMIT, ...channelRowFromBody(req.body) };
+    if (row.display_order === undefined) {
+      const { data: last } = await supabaseAdmin
+        .from('channels').select('display_order').order('display_order', { ascending: false }).limit(1).maybeSingle();
+      row.display_order = (last?.display_order || 0) + 1;
+    }
+    const { data, error } = await supabaseAdmin.from('channels').insert(row).select('*').single();
+    if (error && error.code === '23505') return res.status(409).json({ error: 'Channel already exists' });
+    if (error) throw error;
+    invalidateChannelCaches();
+    res.json({ ok: true, channel: toChannelConfig(data) });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to create channel' });
+  }
+});
+
+app.patch('/admin/channels/:id', requireOwner, [param('id').isUUID(), ...channelValidators(true), handleValidation], async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const row = channelRowFromBody(req.body);
+    if (!Object.keys(row).length) return res.status(400).json({ error: 'Nothing to update' });
+    row.updated_at = new Date().toISOString();
+    const { data, error } = await supabaseAdmin.from('channels').update(row).eq('id', req.params.id).select('*').maybeSingle();
+    if (error && error.code === '23505') return res.status(409).json({ error: 'Channel already exists' });
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Channel not found' });
+    invalidateChannelCaches();
+    res.json({ ok: true, channel: toChannelConfig(data) });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to update channel' });
+  }
+});
+
+app.delete('/admin/channels/:id', requireOwner, [param('id').isUUID(), handleValidation], async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const { data, error } = await supabaseAdmin.from('channels').delete().eq('id', req.params.id).select('id');
+    if (error) throw error;
+    if (!data.length) return res.status(404).json({ error: 'Channel not found' });
+    invalidateChannelCaches();
+    res.json({ ok: true });
   } catch (e) {
-    console.error('Scores error:', e.message);
-    res.status(500).json({ error: 'Failed to fetch scores' });
+    console.error(e); res.status(500).json({ error: 'Failed to delete channel' });
   }
-}));
+});
 
-// Minimal admin endpoints for polls (secured by ADMIN_SECRET)
-app.get('/admin', requireAdmin, (_req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+const feedValidators = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field('url').isURL({ protocols: ['http', 'https'], require_protocol: true }).isLength({ max: 500 }),
+    field('source').isString().trim().isLength({ min: 1, max: 100 }),
+    body('enabled').optional().isBoolean(),
+  ];
+};
+
+function feedRowFromBody(b) {
+  const row = {};
+  if (b.url !== undefined) row.url = b.url;
+  if (b.source !== undefined) row.source = b.source;
+  if (b.enabled !== undefined) {
+    row.enabled = !!b.enabled;
+    // Re-enabling gives the feed a fresh failure budget
+    if (row.enabled) Object.assign(row, { consecutive_failures: 0, disabled_reason: null });
+  }
+  return row;
+}
+
+app.get('/admin/feeds', requireOwner, async (_req, res) => {
+  try {
+    if (!supabaseAdmin) return res.json({ items: defaultFeeds });
+    const { data, error } = await supabaseAdmin.from('rss_feeds').select('*').order('source', { ascending: true });
+    if (error) throw error;
+    res.json({ items: data.map(toFeedConfig) });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to list feeds' });
+  }
 });
 
-app.get('/admin/polls', requireAdmin, async (_req, res) => {
+app.post('/admin/feeds', requireOwner, [...feedValidators(false), handleValidation], async (req, res) => {
   try {
     if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
-    const { data, error } = await supabaseAdmin.from('polls').select('*').order('created_at', { ascending: false });
+    const row = { enabled: true, ...feedRowFromBody(req.body) };
+    const { data, error } = await supabaseAdmin.from('rss_feeds').insert(row).select('*').single();
+    if (error && error.code === '23505') return res.status(409).json({ error: 'Feed already exists' });
     if (error) throw error;
-    res.json({ items: data });
+    invalidateFeedCaches();
+    res.json({ ok: true, feed: toFeedConfig(data) });
   } catch (e) {
-    console.error(e); res.status(500).json({ error: 'Failed to list polls' });
+    console.error(e); res.status(500).json({ error: 'Failed to create feed' });
   }
 });
 
-app.post('/admin/polls', requireAdmin, async (req, res) => {
+app.patch('/admin/feeds/:id', requireOwner, [param('id').isUUID(), ...feedValidators(true), handleValidation], async (req, res) => {
   try {
     if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
-    const { question, options, startsAt, endsAt, isActive } = req.body || {};
-    const { data: poll, error: insErr } = await supabaseAdmin
-      .from('polls')
-      .insert({ question, starts_at: startsAt, ends_at: endsAt, is_active: !!isActive })
-      .select('*')
-      .single();
-    if (insErr) throw insErr;
-    if (Array.isArray(options)) {
-      const rows = options.map((t, i) => ({ poll_id: poll.id, text: t, order: i + 1 }));
-      const { error: optErr } = await supabaseAdmin.from('poll_options').insert(rows);
-      if (optErr) throw optErr;
-    }
-    res.json({ ok: true, pollId: poll.id });
+    const row = feedRowFromBody(req.body);
+    if (!Object.keys(row).length) return res.status(400).json({ error: 'Nothing to update' });
+    row.updated_at = new Date().toISOString();
+    const { data, error } = await supabaseAdmin.from('rss_feeds').update(row).eq('id', req.params.id).select('*').maybeSingle();
+    if (error && error.code === '23505') return res.status(409).json({ error: 'Feed already exists' });
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Feed not found' });
+    invalidateFeedCaches();
+    res.json({ ok: true, feed: toFeedConfig(data) });
   } catch (e) {
-    console.error(e); res.status(500).json({ error: 'Failed to create poll' });
+    console.error(e); res.status(500).json({ error: 'Failed to update feed' });
   }
 });
 
-app.post('/admin/polls/:id/activate', requireAdmin, async (req, res) => {
+app.delete('/admin/feeds/:id', requireOwner, [param('id').isUUID(), handleValidation], async (req, res) => {
   try {
-    const id = req.params.id;
-    const { error } = await supabaseAdmin.from('polls').update({ is_active: true }).eq('id', id);
-    if (error) throw error; res.json({ ok: true });
-  } catch (e) { console.error(e); res.status(500).json({ error: 'Failed' }); }
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Supabase not configured' });
+    const { data, error } = await supabaseAdmin.from('rss_feeds').delete().eq('id', req.params.id).select('id');
+    if (error) throw error;
+    if (!data.length) return res.status(404).json({ error: 'Feed not found' });
+    invalidateFeedCaches();
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e); res.status(500).json({ error: 'Failed to delete feed' });
+  }
 });
 
-app.post('/admin/polls/:id/deactivate', requireAdmin, async (req, res) => {
+app.get('/admin/websub', requireAdmin, (_req, res) => {
+  const items = [...websub.subscriptions.entries()].map(([topic, sub]) => ({
+    topic,
+    handle: sub.handle,
+    channelId: sub.channelId,
+    status: sub.status,
+    leaseExpires: sub.leaseExpires ? new Date(sub.leaseExpires).toISOString() : null,
+  }));
+  res.json({ enabled: WEBSUB_ENABLED, hub: WEBSUB_HUB_URL, items });
+});
+
+app.get('/admin/providers', requireAdmin, (_req, res) => {
+  res.json({ items: providerStatus() });
+});
+
+app.get('/admin/jobs', requireAdmin, (_req, res) => {
+  res.json({ items: jobStatus(), inFlight: [...inFlight.keys()] });
+});
+
+// Polls
+// Several polls can be open at once (e.g. one per match): a poll is open while
+// is_active and now is between starts_at and ends_at. The scheduler opens
+// auto_schedule polls when they start and closes every poll once it ends;
+// activating or deactivating by hand turns auto_schedule off for that poll.
+const POLL_SCHEDULE_INTERVAL = 60 * 1000;
+
+async function runPollSchedule() {
+  if (!supabaseAdmin) return;
+  const nowIso = new Date().toISOString();
+  const { data: opened, error: openErr } = await supabaseAdmin
+    .from('polls')
+    .update({ is_active: true })
+    .eq('auto_schedule', true)
+    .eq('is_active', false)
+    .lte('starts_at', nowIso)
+    .gt('ends_at', nowIso)
+    .select('id');
+  if (openErr) throw openErr;
+  const { data: closed, error: closeErr } = await supabaseAdmin
+    .from('polls')
+    .update({ is_active: false })
+    .eq('is_active', true)
+    .lte('ends_at', nowIso)
+    .select('id');
+  if (closeErr) throw closeErr;
+  if (opened.length || closed.length) console.log(`Poll schedule: opened ${opened.length}, closed ${closed.length}`);
+}
+
+function startPollScheduler() {
+  if (!supabaseAdmin) return;
+  defineJob('pollSchedule', { interval: POLL_SCHEDULE_INTERVAL, immediate: true, run: runPollSchedule });
+}
+
+function pollStatus(poll) {
+  const nowMs = now();
+  if (Date.parse(poll.ends_at) <= nowMs) return 'closed';
+  if (Date.parse(poll.starts_at) > nowMs) return 'scheduled';
+  return poll.is_active ? 'open' : 'inactive';
+}
+
+// Match polls
+// Every few minutes enabled poll templates are instantiated for upcoming
+// fixtures in their leagues (league id, provider name or league tag). The
+// poll opens opens_before_minutes before kick-off through the scheduler above
+// and is closed as soon as the fixture shows as finished; ends_at is only a
+// backstop. {lineups} templates wait until the starting XIs are published.
+const MATCH_POLL_INTERVAL = 15 * 60 * 1000; // upcoming scores are cached for 5 minutes; spare the provider quota
+const MATCH_POLL_MAX_LENGTH = 4 * ONE_HOUR; // backstop ends_at after kick-off
+const MATCH_POLL_MIN_LENGTH = 105 * 60 * 1000; // earliest a fixture can be over
+const MATCH_POLL_LINEUPS = '{lineups}';
+const MATCH_POLL_LINEUP_LEAD = 90 * 60 * 1000; // lineups come out about an hour before kick-off
+const MATCH_POLL_DETAIL_LOOKUPS = 10;
+const TTL_MATCH_POLL_INDEX = 60 * 1000;
+
+const matchPollState = { closed: new Map(), index: null }; // closed: `${provider}:${matchId}` -> expires
+
+const fillTemplate = (text, m) => text
+  .replace(/\{home\}/g, m.home.name)
+  .replace(/\{away\}/g, m.away.name)
+  .replace(/\{league\}/g, m.league);
+
+function templateCoversMatch(template, m) {
+  const wanted = template.leagues.map((l) => `${l}`.trim().toLowerCase());
+  if (wanted.includes(`${m.leagueId}`) || wanted.includes(`${m.league}`.toLowerCase())) return true;
+  return tagMatch(m).leagues.some((id) => wanted.includes(id));
+}
+
+// Team names can push a filled-in option past the length limit
+const clipOption = (text) => (text.length > POLL_OPTION_MAX_LENGTH ? `${text.slice(0, POLL_OPTION_MAX_LENGTH - 1)}…` : text);
+
+// Both XIs only fit in `slots` options: starting XIs list the goalkeeper
+// first, so each side is taken from its forwards back, alternating sides
+function lineupOptions(lineups, m, slots) {
+  const sides = ['home', 'away'].map((side) => (lineups[side].startXI || [])
+    .filter((p) => p.name)
+    .map((p) => clipOption(`${p.name} (${m[side].name})`))
+    .reverse());
+  const players = [];
+  for (let i = 0; players.length < slots && sides.some((s) => i < s.length); i++) {
+    for (const s of sides) if (i < s.length && players.length < slots) players.push(s[i]);
+  }
+  return players;
+}
+
+async function templateOptions(template, m) {
+  if (!template.options.includes(MATCH_POLL_LINEUPS)) return template.options.map((o) => clipOption(fillTemplate(o, m)));
+  const detail = await getMatchDetail(`${m.id}`).catch(() => null);
+  const slots = POLL_MAX_OPTIONS - (template.options.length - 1);
+  const players = detail && detail.lineups ? lineupOptions(detail.lineups, m, slots) : [];
+  if (!players.length) return null;
+  return template.options.flatMap((o) => (o === MATCH_POLL_LINEUPS ? players : [clipOption(fillTemplate(o, m))]));
+}
+
+// Templates saved before the limits, or names that collide once filled in
+const validPollOptions = (options) => options.length >= 2 && options.length <= POLL_MAX_OPTIONS && uniqueOptions(options);
+
+async function instantiateMatchPolls(templates) {
+  const upcoming = await readScores('upcoming');
+  if (!upcoming.provider) return 0;
+  const nowMs = now();
+  const fixtures = upcoming.items.filter((m) => matchPhase(m.status) === 'scheduled' && Date.parse(m.datetime) > nowMs);
+  const wanted = [];
+  for (const t of templates) {
+    for (const m of fixtures) if (templateCoversMatch(t, m)) wanted.push({ template: t, match: m });
+  }
+  if (!wanted.length) return 0;
+
+  const { data: existing, error } = await supabaseAdmin
+    .from('polls')
+    .select('template_id, match_id')
+    .eq('match_provider', upcoming.provider)
+    .in('template_id', templates.map((t) => t.id))
+    .in('match_id', [...new Set(wanted.map((w) => `${w.match.id}`))]);
+  if (error) throw error;
+  const done = new Set(existing.map((p) => `${p.template_id}:${p.match_id}`));
+
+  let created = 0;
+  for (const { template, match } of wanted) {
+    if (done.has(`${template.id}:${match.id}`)) continue;
+    const kickoff = Date.parse(match.datetime);
+    const lineups = template.options.includes(MATCH_POLL_LINEUPS);
+    if (lineups && kickoff - nowMs > MATCH_POLL_LINEUP_LEAD) continue;
+    const options = await templateOptions(template, match);
+    if (!options) continue;
+    if (!validPollOptions(options)) {
+      console.warn(`Match polls: template ${template.id} gives invalid options for ${match.id}, skipped`);
+      continue;
+    }
+    try {
+      await createPoll({
+        question: fillTemplate(template.question, match),
+        options,
+        startsAt: new Date(Math.max(nowMs, kickoff - template.opens_before_minutes * 60 * 1000)).toISOString(),
+        endsAt: new Date(kickoff + MATCH_POLL_MAX_LENGTH).toISOString(),
+        isActive: false,
+        autoSchedule: true,
+        matchId: `${match.id}`,
+        matchProvider: upcoming.provider,
+        templateId: template.id,
+      });
+      created++;
+    } catch (e) {
+      if (e.code !== '23505') throw e; // another instance created it first
+    }
+  }
+  return created;
+}
+
+async function closeMatchPolls(matchIds, provider) {
+  const { data, error } = await supabaseAdmin
+    .from('polls')
+    .update({ is_active: false, ends_at: new Date().toISOString() })
+    .eq('match_provider', provider)
+    .in('match_id', matchIds)
+    .gt('ends_at', new Date().toISOString())
+    .select('id');
+  if (error) throw error;
+  if (data.length) {
+    matchPollState.index = null;
+    console.log(`Match polls: closed ${data.length} at full-time`);
+  }
+  return data.length;
+}
+
+// Called with every fresh live/today snapshot
+async function closeFinishedMatchPolls(data) {
+  if (!supabaseAdmin || !data.provider) return;
+  const nowMs = now();
+  const ids = data.items
+    .filter((m) => matchPhase(m.status) === 'finished' && !((matchPollState.closed.get(`${data.provider}:${m.id}`) || 0) > nowMs))
+    .map((m) => `${m.id}`);
+  if (!ids.length) return;
+  await closeMatchPolls(ids, data.provider);
+  for (const id of ids) matchPollState.closed.set(`${data.provider}:${id}`, nowMs + MATCH_POLL_MAX_LENGTH);
+  if (matchPollState.closed.size > 5000) {
+    for (const [k, exp] of matchPollState.closed) if (exp <= nowMs) matchPollState.closed.delete(k);
+  }
+}
+
+// Fixtures that dropped out of today's list (late kick-offs) are checked one by one
+async function closeOverdueMatchPolls() {
+  const nowMs = now();
+  const { data: open, error } = await supabaseAdmin
+    .from('polls')
+    .select('match_id, match_provider')
+    .not('match_id', 'is', null)
+    .gt('ends_at', new Date(nowMs).toISOString())
+    .lte('ends_at', new Date(nowMs + MATCH_POLL_MAX_LENGTH - MATCH_POLL_MIN_LENGTH).toISOString());
+  if (error) throw error;
+  if (!open.length) return;
+  const today = await readScores('today');
+  await closeFinishedMatchPolls(today);
+  let lookups = 0;
+  const seen = new Set();
+  for (const p of open) {
+    const key = `${p.match_provider}:${p.match_id}`;
+    if (seen.has(key) || (matchPollState.closed.get(key) || 0) > nowMs) continue;
+    seen.add(key);
+    if (lookups >= MATCH_POLL_DETAIL_LOOKUPS) break;
+    lookups++;
+    const detail = await getMatchDetail(p.match_id).catch(() => null);
+    if (detail && detail.provider === p.match_provider && matchPhase(detail.status) === 'finished') {
+      await closeMatchPolls([p.match_id], p.match_provider);
+    }
+  }
+}
+
+async function runMatchPolls() {
+  if (!supabaseAdmin) return;
+  const { data: templates, error } = await supabaseAdmin.from('poll_templates').select('*').eq('enabled', true);
+  if (error) throw error;
+  if (templates.length) {
+    const created = await instantiateMatchPolls(templates);
+    if (created) {
+      matchPollState.index = null;
+      console.log(`Match polls: created ${created}`);
+    }
+  }
+  await closeOverdueMatchPolls();
+}
+
+function startMatchPolls() {
+  if (!supabaseAdmin) return;
+  defineJob('matchPolls', { interval: MATCH_POLL_INTERVAL, immediate: true, run: runMatchPolls });
+}
+
+// `${provider}:${matchId}` -> recent polls, for badges on /scores
+async function getMatchPollIndex() {
+  if (!supabaseAdmin) return new Map();
+  if (matchPollState.index && matchPollState.index.expires > now()) return matchPollState.index.data;
+  const { data, error } = await supabaseAdmin
+    .from('polls')
+    .select('id, question, starts_at, ends_at, is_active, match_id, match_provider')
+    .not('match_id', 'is', null)
+    .gt('ends_at', new Date(now() - 24 * ONE_HOUR).toISOString());
+  if (error) throw error;
+  const index = new Map();
+  for (const p of data) {
+    const key = `${p.match_provider}:${p.match_id}`;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push({ id: p.id, question: p.question, status: pollStatus(p) });
+  }
+  matchPollState.index = { data: index, expires: now() + TTL_MATCH_POLL_INDEX };
+  return index;
+}
+
+// Vote counts
+// Per-option totals live in `poll_option_counts`, kept up to date by a
+// trigger on poll_votes, so a tally is one small read however many votes a
+// poll has. Tallies are cached briefly and dropped when this instance records
+// a vote; a device's own vote is looked up by (poll_id, device_hash).
+const TTL_POLL_TALLY = 5 * 1000;
+
+const pollTallies = new Map(); // poll id -> { counts: Map(option id -> votes), expires }
+
+async function getPollTallies(pollIds) {
+  const missing = pollIds.filter((id) => !(pollTallies.get(id)?.expires > now()));
+  if (missing.length) {
+    const { data, error } = await supabaseAdmin
+      .from('poll_option_counts')
+      .select('poll_id, option_id, votes')
+      .in('poll_id', missing);
+    if (error) throw error;
+    const expires = now() + TTL_POLL_TALLY;
+    for (const id of missing) pollTallies.set(id, { counts: new Map(), expires });
+    for (const row of data) pollTallies.get(row.poll_id).counts.set(row.option_id, Number(row.votes));
+  }
+  return new Map(pollIds.map((id) => [id, pollTallies.get(id).counts]));
+}
+
+// poll id -> option id voted for by this device
+async function getDeviceVotes(pollIds, device) {
+  if (!device) return new Map();
+  const { data, error } = await supabaseAdmin
+    .from('poll_votes')
+    .select('poll_id, option_id')
+    .eq('device_hash', device)
+    .in('poll_id', pollIds);
+  if (error) throw error;
+  return new Map(data.map((v) => [v.poll_id, v.option_id]));
+}
+
+// Shape used by /polls and /polls/active; `options` may span several polls
+function pollPayload(poll, options, counts, selectedOptionId = null) {
+  return {
+    id: poll.id,
+    question: poll.question,
+    matchId: poll.match_id || null,
+    endsAt: poll.ends_at,
+    hasVoted: !!selectedOptionId,
+    selectedOptionId,
+    options: options
+      .filter((o) => o.poll_id === poll.id)
+      .map((o) => ({ id: o.id, text: o.text, votes: counts.get(o.id) || 0 })),
+  };
+}
+
+async function getOpenPolls({ limit } = {}) {
+  const nowIso = new Date().toISOString();
+  let q = supabaseAdmin
+    .from('polls')
+    .select('id, question, starts_at, ends_at, is_active, match_id')
+    .eq('is_active', true)
+    .lte('starts_at', nowIso)
+    .gte('ends_at', nowIso)
+    .order('starts_at', { ascending: false });
+  if (limit) q = q.limit(limit);
+  const { data, error } = await q;
+  if (error) throw error;
+  return data;
+}
+
+async function loadPollOptions(pollIds) {
+  const { data, error } = await supabaseAdmin
+    .from('poll_options')
+    .select('id, poll_id, text, order')
+    .in('poll_id', pollIds)
+    .order('order', { ascending: true });
+  if (error) throw error;
+  return data;
+}
+
+// Every open poll, newest first
+app.get('/polls', [
+  query('device').optional().isString().isLength({ max: 128 }),
+  handleValidation
+], async (req, res) => {
   try {
-    const id = req.params.id;
-    const { error } = await supabaseAdmin.from('polls').update({ is_active: false }).eq('id', id);
-    if (error) throw error; res.json({ ok: true });
-  } catch (e) { console.error(e); res.status(500).json({ error: 'Failed' }); }
+    if (!supabaseAdmin) return res.json({ items: [] });
+    const device = (req.query.device || '').toString();
+    const polls = await getOpenPolls();
+    if (!polls.length) return res.json({ items: [] });
+    const ids = polls.map((p) => p.id);
+    const [options, tallies, deviceVotes] = await Promise.all([
+      loadPollOptions(ids), getPollTallies(ids), getDeviceVotes(ids, device),
+    ]);
+    res.json({ items: polls.map((p) => pollPayload(p, options, tallies.get(p.id), deviceVotes.get(p.id))) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch polls' });
+  }
 });
 
+// Newest open poll only, kept for older app versions
 app.get('/polls/active', async (req, res) => {
   try {
     if (!supabaseAdmin) return res.json(null);
     const device = (req.query.device || '').toString();
-    const nowIso = new Date().toISOString();
+    const [poll] = await getOpenPolls({ limit: 1 });
+    if (!poll) return res.json(null);
+    const [options, tallies, deviceVotes] = await Promise.all([
+      loadPollOptions([poll.id]), getPollTallies([poll.id]), getDeviceVotes([poll.id], device),
+    ]);
+    res.json(pollPayload(poll, options, tallies.get(poll.id), deviceVotes.get(poll.id)));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch poll' });
+  }
+});
 
+app.get('/polls/:id/results', [param('id').isUUID(), handleValidation], async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Polls not configured' });
     const { data: poll, error: pollErr } = await supabaseAdmin
       .from('polls')
       .select('id, question, starts_at, ends_at, is_active')
-      .eq('is_active', true)
-      .lte('starts_at', nowIso)
-      .gte('ends_at', nowIso)
-      .order('starts_at', { ascending: false })
-      .limit(1)
+      .eq('id', req.params.id)
       .maybeSingle();
-
     if (pollErr) throw pollErr;
-    if (!poll) return res.json(null);
-
-    const { data: options, error: optErr } = await supabaseAdmin
-      .from('poll_options')
-      .select('id, text, order')
-      .eq('poll_id', poll.id)
-      .order('order', { ascending: true });
-    if (optErr) throw optErr;
-
-    const { data: votes, error: voteErr } = await supabaseAdmin
-      .from('poll_votes')
-      .select('option_id, device_hash')
-      .eq('poll_id', poll.id);
-    if (voteErr) throw voteErr;
+    if (!poll) return res.status(404).json({ error: 'Poll not found' });
 
-    const counts = new Map();
-    let hasVoted = false;
-    let selectedOptionId = null;
-    for (const v of votes) {
-      counts.set(v.option_id, (counts.get(v.option_id) || 0) + 1);
-      if (device && v.device_hash === device) {
-        hasVoted = true;
-        selectedOptionId = v.option_id;
-      }
-    }
+    const [options, tallies] = await Promise.all([loadPollOptions([poll.id]), getPollTallies([poll.id])]);
+    const tallied = pollPayload(poll, options, tallies.get(poll.id)).options;
+    const totalVotes = tallied.reduce((sum, o) => sum + o.votes, 0);
+    const top = Math.max(0, ...tallied.map((o) => o.votes));
+    const leaders = top ? tallied.filter((o) => o.votes === top) : [];
+    const status = pollStatus(poll);
 
+    res.set('Cache-Control', `public, max-age=${status === 'closed' ? 3600 : 10}`);
     res.json({
       id: poll.id,
       question: poll.question,
+      status,
+      startsAt: poll.starts_at,
       endsAt: poll.ends_at,
-      hasVoted,
-      selectedOptionId,
-      options: options.map((o) => ({ id: o.id, text: o.text, votes: counts.get(o.id) || 0 })),
+      totalVotes,
+      options: tallied.map((o) => ({
+        ...o,
+        percentage: totalVotes ? Math.round((o.votes / totalVotes) * 1000) / 10 : 0,
+      })),
+      winner: leaders.length === 1 ? leaders[0] : null,
+      tie: leaders.length > 1,
     });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Failed to fetch poll' });
+    res.status(500).json({ error: 'Failed to fetch poll results' });
+  }
+});
+
+// Polls linked to a fixture, open or not (those not yet open have no vote counts to show)
+app.get('/matches/:id/polls', [
+  param('id').isString().matches(/^[\w-]{1,32}$/),
+  query('device').optional().isString().isLength({ max: 128 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.json({ items: [] });
+    // Ids are only unique per provider
+    const scoped = parseScopedId(req.params.id);
+    if (!scoped) return res.json({ items: [] });
+    const device = (req.query.device || '').toString();
+    const { data: polls, error } = await supabaseAdmin
+      .from('polls')
+      .select('id, question, starts_at, ends_at, is_active, match_id')
+      .eq('match_id', req.params.id)
+      .eq('match_provider', scoped.provider)
+      .order('starts_at', { ascending: true });
+    if (error) throw error;
+    if (!polls.length) return res.json({ items: [] });
+    const ids = polls.map((p) => p.id);
+    const [options, tallies, deviceVotes] = await Promise.all([
+      loadPollOptions(ids), getPollTallies(ids), getDeviceVotes(ids, device),
+    ]);
+    res.json({
+      items: polls.map((p) => ({
+        ...pollPayload(p, options, tallies.get(p.id), deviceVotes.get(p.id)),
+        startsAt: p.starts_at,
+        status: pollStatus(p),
+      })),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch match polls' });
   }
 });
 
-app.post('/polls/:id/vote', [
+// Vote integrity
+// Votes carry a salted hash of the voter's IP. Once one IP has voted from more
+// than VOTE_ABUSE_DEVICE_LIMIT device hashes on a poll, all of its votes on
+// that poll are flagged: they stay stored (and visible to admins) but the
+// counter trigger leaves them out of public totals. Flagged voters get the
+// same response as everyone else. An admin can clear an IP, after which it is
+// no longer flagged on that poll. Without a dedicated VOTE_IP_SALT no IP hash
+// is stored and flagging is off: an unsalted or reused key would make the
+// hashes reversible by anyone holding it.
+const VOTE_ABUSE_DEVICE_LIMIT = parseInt(process.env.VOTE_ABUSE_DEVICE_LIMIT || '10', 10);
+const VOTE_FLAG_CLEARED = 'cleared by admin';
+const VOTE_IP_SALT = process.env.VOTE_IP_SALT || '';
+if (!VOTE_IP_SALT) console.warn('Warning: VOTE_IP_SALT is not set, voter IPs are not recorded and vote abuse flagging is off');
+
+function hashVoterIp(ip) {
+  if (!VOTE_IP_SALT) return null;
+  return crypto.createHmac('sha256', VOTE_IP_SALT).update(`${ip || ''}`).digest('hex');
+}
+
+async function flagVotesFromIp(pollId, ipHash) {
+  const { count, error } = await supabaseAdmin
+    .from('poll_votes')
+    .select('device_hash', { count: 'exact', head: true })
+    .eq('poll_id', pollId)
+    .eq('ip_hash', ipHash);
+  if (error) throw error;
+  if (count <= VOTE_ABUSE_DEVICE_LIMIT) return false;
+  const { count: cleared, error: clearedErr } = await supabaseAdmin
+    .from('poll_votes')
+    .select('device_hash', { count: 'exact', head: true })
+    .eq('poll_id', pollId)
+    .eq('ip_hash', ipHash)
+    .eq('flag_reason', VOTE_FLAG_CLEARED);
+  if (clearedErr) throw clearedErr;
+  if (cleared) return false;
+  const { error: flagErr } = await supabaseAdmin
+    .from('poll_votes')
+    .update({ flagged: true, flag_reason: `${count} devices from one IP` })
+    .eq('poll_id', pollId)
+    .eq('ip_hash', ipHash)
+    .eq('flagged', false);
+  if (flagErr) throw flagErr;
+  console.warn('Poll votes flagged', pollId, ipHash.slice(0, 12), `${count} devices`);
+  return true;
+}
+
+app.post('/polls/:id/vote', optionalUser, [
   param('id').isUUID(),
   body('optionId').isUUID(),
   body('deviceIdHash').isString().isLength({ min: 32, max: 128 }),
@@ -911,31 +4924,46 @@ app.post('/polls/:id/vote', [
     const { optionId, deviceIdHash } = req.body || {};
     if (!optionId || !deviceIdHash) return res.status(400).json({ error: 'Missing optionId/deviceIdHash' });
 
+    const { data: poll, error: pollErr } = await supabaseAdmin
+      .from('polls')
+      .select('id, starts_at, ends_at, is_active')
+      .eq('id', pollId)
+      .maybeSingle();
+    if (pollErr) throw pollErr;
+    if (!poll) return res.status(404).json({ error: 'Poll not found', code: 'poll_not_found' });
+    const status = pollStatus(poll);
+    if (status === 'scheduled') return res.status(409).json({ error: 'Poll has not opened yet', code: 'poll_not_started' });
+    if (status !== 'open') return res.status(409).json({ error: 'Poll is closed', code: 'poll_closed' });
+
+    const options = await loadPollOptions([pollId]);
+    if (!options.some((o) => o.id === optionId)) {
+      return res.status(400).json({ error: 'Option does not belong to this poll', code: 'unknown_option' });
+    }
+
     // Insert vote with unique constraint on (poll_id, device_hash)
+    const ipHash = hashVoterIp(req.ip);
     const { error: insErr } = await supabaseAdmin.from('poll_votes').insert({
       poll_id: pollId,
       option_id: optionId,
       device_hash: deviceIdHash,
+      ip_hash: ipHash,
+      ...(req.user ? { user_id: req.user.id } : {}),
     });
-    if (insErr && !(`${insErr.message}`.includes('duplicate') || `${insErr.details}`.includes('already exists'))) {
-      throw insErr;
+    if (insErr && (insErr.code === '23505' || `${insErr.message}`.includes('duplicate'))) {
+      const selected = await getDeviceVotes([pollId], deviceIdHash);
+      return res.status(409).json({
+        error: 'Already voted on this poll',
+        code: 'already_voted',
+        selectedOptionId: selected.get(pollId) || null,
+      });
     }
+    if (insErr) throw insErr;
+    if (ipHash) await flagVotesFromIp(pollId, ipHash).catch((e) => console.warn('Vote abuse check failed', e.message));
 
     // Return updated totals
-    const { data: options, error: optErr } = await supabaseAdmin
-      .from('poll_options')
-      .select('id, text')
-      .eq('poll_id', pollId);
-    if (optErr) throw optErr;
-
-    const { data: votes, error: voteErr } = await supabaseAdmin
-      .from('poll_votes')
-      .select('option_id')
-      .eq('poll_id', pollId);
-    if (voteErr) throw voteErr;
-
-    const totals = Object.fromEntries(options.map((o) => [o.id, 0]));
-    for (const v of votes) totals[v.option_id] = (totals[v.option_id] || 0) + 1;
+    pollTallies.delete(pollId);
+    const counts = (await getPollTallies([pollId])).get(pollId);
+    const totals = Object.fromEntries(options.map((o) => [o.id, counts.get(o.id) || 0]));
 
     res.json({ ok: true, totals });
   } catch (e) {
@@ -944,6 +4972,248 @@ app.post('/polls/:id/vote', [
   }
 }));
 
+// Predictor game
+// Players predict the score of today's and upcoming fixtures until kick-off.
+// Once a fixture shows as finished in fresh live/today data (or its match
+// detail, for games that have dropped out of today), every prediction on it
+// is scored in one RPC: exact score, else correct goal difference, else
+// correct result. Predictions belong to the account when signed in, else to
+// the device hash, like poll votes; only accounts are ranked on leaderboards.
+// A finished fixture is settled again if its final score later changes.
+const PREDICTION_POINTS = { exact: 5, goalDifference: 3, result: 2 };
+const PREDICTION_SETTLE_INTERVAL = TEN_MIN;
+const PREDICTION_MIN_MATCH_LENGTH = 105 * 60 * 1000; // earliest a fixture can be over
+const PREDICTION_SETTLE_WINDOW = 3 * 24 * ONE_HOUR; // give up on fixtures that never finish
+const PREDICTION_DETAIL_LOOKUPS = 10; // match detail calls per sweep
+const PREDICTION_SEASON_START = process.env.PREDICTION_SEASON_START || '07-01'; // MM-DD, UTC
+const TTL_LEADERBOARD = 60 * 1000;
+const LEADERBOARD_DEFAULT_LIMIT = 50;
+
+const predictionState = { settled: new Map() }; // `${provider}:${matchId}` -> { score, expires }
+const leaderboards = new Map(); // `${period}:${limit}` -> { data, expires }
+
+function toPrediction(row) {
+  return {
+    id: row.id,
+    matchId: row.match_id,
+    homeTeam: row.home_team,
+    awayTeam: row.away_team,
+    league: row.league,
+    kickoff: row.kickoff_at,
+    homeGoals: row.home_goals,
+    awayGoals: row.away_goals,
+    outcome: row.outcome,
+    points: row.points,
+    settledAt: row.settled_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+async function findPredictableMatch(matchId) {
+  for (const scope of ['today', 'upcoming']) {
+    const data = await getScores(scope);
+    const match = data.items.find((m) => `${m.id}` === matchId);
+    if (match) return { match, provider: data.provider };
+  }
+  return null;
+}
+
+async function settleMatchPredictions(match, provider) {
+  const key = `${provider}:${match.id}`;
+  const score = `${match.home.goals}-${match.away.goals}`;
+  const nowMs = now();
+  const settled = predictionState.settled.get(key);
+  if (settled && settled.expires > nowMs && settled.score === score) return 0;
+  const { data: count, error } = await supabaseAdmin.rpc('settle_predictions', {
+    p_match_id: `${match.id}`,
+    p_provider: provider,
+    p_home_goals: match.home.goals,
+    p_away_goals: match.away.goals,
+    p_exact_points: PREDICTION_POINTS.exact,
+    p_goal_difference_points: PREDICTION_POINTS.goalDifference,
+    p_result_points: PREDICTION_POINTS.result,
+  });
+  if (error) throw error;
+  predictionState.settled.set(key, { score, expires: nowMs + PREDICTION_SETTLE_WINDOW });
+  if (predictionState.settled.size > 5000) {
+    for (const [k, e] of predictionState.settled) if (e.expires <= nowMs) predictionState.settled.delete(k);
+  }
+  if (count) {
+    leaderboards.clear();
+    console.log(`Predictions: settled ${count} for match ${match.id} (${score})`);
+  }
+  return count;
+}
+
+const isSettleable = (m) => matchPhase(m.status) === 'finished' && m.home.goals != null && m.away.goals != null;
+
+// Called with every fresh live/today snapshot
+async function settleFinishedPredictions(data) {
+  if (!supabaseAdmin || !data.provider) return;
+  for (const m of data.items) {
+    if (isSettleable(m)) await settleMatchPredictions(m, data.provider);
+  }
+}
+
+// Catches fixtures no client asked scores for, and late games that ended after midnight
+async function runPredictionSettlement() {
+  if (!supabaseAdmin) return;
+  const nowMs = now();
+  const { data: pending, error } = await supabaseAdmin.rpc('pending_prediction_matches', {
+    p_from: new Date(nowMs - PREDICTION_SETTLE_WINDOW).toISOString(),
+    p_to: new Date(nowMs - PREDICTION_MIN_MATCH_LENGTH).toISOString(),
+  });
+  if (error) throw error;
+  if (!pending.length) return;
+  const today = await readScores('today');
+  let lookups = 0;
+  for (const p of pending) {
+    if ((predictionState.settled.get(`${p.provider}:${p.match_id}`)?.expires || 0) > nowMs) continue;
+    let match = today.provider === p.provider ? today.items.find((m) => `${m.id}` === p.match_id) : null;
+    if (!match && lookups < PREDICTION_DETAIL_LOOKUPS) {
+      lookups++;
+      const detail = await getMatchDetail(p.match_id).catch(() => null);
+      if (detail && detail.provider === p.provider) match = detail;
+    }
+    if (match && isSettleable(match)) await settleMatchPredictions(match, p.provider);
+  }
+}
+
+function startPredictionSettlement() {
+  if (!supabaseAdmin) return;
+  defineJob('predictionSettlement', { interval: PREDICTION_SETTLE_INTERVAL, run: runPredictionSettlement });
+}
+
+function leaderboardSince(period) {
+  const d = new Date(now());
+  if (period === 'week') {
+    // ISO week: Monday 00:00 UTC
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - ((d.getUTCDay() + 6) % 7)));
+  }
+  const [month, day] = PREDICTION_SEASON_START.split('-').map(Number);
+  const start = new Date(Date.UTC(d.getUTCFullYear(), month - 1, day));
+  if (start > d) start.setUTCFullYear(start.getUTCFullYear() - 1);
+  return start;
+}
+
+const toLeaderboardEntry = (row) => ({
+  rank: Number(row.rank),
+  player: row.player,
+  points: Number(row.points),
+  predictions: Number(row.predictions),
+  exact: Number(row.exact),
+  ...(row.is_you ? { you: true } : {}),
+});
+
+app.post('/predictions', optionalUser, [
+  body('matchId').isString().matches(/^[\w-]{1,32}$/),
+  body('homeGoals').isInt({ min: 0, max: 20 }).toInt(),
+  body('awayGoals').isInt({ min: 0, max: 20 }).toInt(),
+  body('deviceIdHash').optional().isString().isLength({ min: 32, max: 128 }),
+  handleValidation
+], asyncHandler(async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Predictions not configured' });
+    const { matchId, homeGoals, awayGoals, deviceIdHash } = req.body;
+    if (!req.user && !deviceIdHash) return res.status(400).json({ error: 'Missing deviceIdHash' });
+
+    const found = await findPredictableMatch(matchId);
+    if (!found) return res.status(404).json({ error: 'Match not found', code: 'match_not_found' });
+    const { match, provider } = found;
+    const kickoff = Date.parse(match.datetime);
+    if (matchPhase(match.status) !== 'scheduled' || !kickoff || kickoff <= now()) {
+      return res.status(409).json({ error: 'Predictions closed at kick-off', code: 'prediction_locked' });
+    }
+
+    const { data, error } = await supabaseAdmin.rpc('save_prediction', {
+      p_match_id: matchId,
+      p_provider: provider,
+      p_user_id: req.user ? req.user.id : null,
+      p_device_hash: deviceIdHash || null,
+      p_home_goals: homeGoals,
+      p_away_goals: awayGoals,
+      p_kickoff_at: new Date(kickoff).toISOString(),
+      p_home_team: match.home.name,
+      p_away_team: match.away.name,
+      p_league: match.league,
+    });
+    if (error && error.message.includes('prediction locked')) {
+      return res.status(409).json({ error: 'Predictions closed at kick-off', code: 'prediction_locked' });
+    }
+    if (error) throw error;
+    res.json({ ok: true, prediction: toPrediction(data) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to save prediction' });
+  }
+}));
+
+// Signed-out players prove they own the device with its secret, sent in a
+// header so it stays out of request logs; the hash alone is public
+app.get('/predictions/mine', optionalUser, [
+  header('x-device-secret').optional().isString().isLength({ min: 32, max: 256 }),
+  handleValidation
+], asyncHandler(async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Predictions not configured' });
+    const secret = req.headers['x-device-secret'];
+    if (!req.user && !secret) return res.status(400).json({ error: 'Missing x-device-secret' });
+    let q = supabaseAdmin.from('predictions').select('*');
+    q = req.user ? q.eq('user_id', req.user.id) : q.eq('device_hash', deviceHashFromSecret(secret));
+    const { data, error } = await q.order('kickoff_at', { ascending: false }).limit(100);
+    if (error) throw error;
+    const items = data.map(toPrediction);
+    const points = items.reduce((sum, p) => sum + (p.points || 0), 0);
+    res.set('Cache-Control', 'no-store');
+    res.json({ items, points });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch predictions' });
+  }
+}));
+
+app.get('/predictions/leaderboard', optionalUser, [
+  query('period').optional().isIn(['week', 'season']),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  handleValidation
+], asyncHandler(async (req, res) => {
+  try {
+    if (!supabaseAdmin) return res.status(500).json({ error: 'Predictions not configured' });
+    const period = req.query.period || 'week';
+    const limit = req.query.limit || LEADERBOARD_DEFAULT_LIMIT;
+    const player = req.user ? req.user.id : null;
+    const since = leaderboardSince(period).toISOString();
+    // The shared top list is cached; a player's own rank is looked up fresh
+    const key = `${period}:${limit}`;
+    const cached = !player && leaderboards.get(key);
+    if (cached && cached.expires > now()) return res.json(cached.data);
+    const { data, error } = await supabaseAdmin.rpc('prediction_leaderboard', {
+      p_since: since,
+      p_limit: limit,
+      p_user_id: player,
+    });
+    if (error) throw error;
+    const entries = data.map(toLeaderboardEntry);
+    const payload = {
+      period,
+      since,
+      points: PREDICTION_POINTS,
+      items: entries.filter((e) => e.rank <= limit),
+      you: entries.find((e) => e.you) || null,
+    };
+    if (!player) {
+      leaderboards.set(key, { data: payload, expires: now() + TTL_LEADERBOARD });
+      res.set('Cache-Control', `public, max-age=${TTL_LEADERBOARD / 1000}`);
+    } else {
+      res.set('Cache-Control', 'no-store');
+    }
+    res.json(payload);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch leaderboard' });
+  }
+}));
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
@@ -960,24 +5230,79 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-const server = app.listen(PORT, () => {
-  console.log(`Sport Rays backend listening on http://localhost:${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+let server = null;
+
+function start() {
+  server = app.listen(PORT, () => {
+    console.log(`Sport Rays backend listening on http://localhost:${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    startBackgroundRefresh();
+    startQuotaSync();
+    startWebSub();
+    startPollScheduler();
+    startMatchPolls();
+    startPredictionSettlement();
+  });
+  return server;
+}
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
-  server.close(() => {
+function shutdown() {
+  for (const res of liveStream.clients) res.end(); // open SSE streams would keep close() waiting
+  server.close(async () => {
     console.log('HTTP server closed');
+    await cacheStore.close().catch((e) => console.warn('Cache store close failed', e.message));
     process.exit(0);
   });
-});
+}
 
-process.on('SIGINT', () => {
-  console.log('\nSIGINT signal received: closing HTTP server');
-  server.close(() => {
-    console.log('HTTP server closed');
-    process.exit(0);
+// Required by the tests: expose the app and internals without listening
+if (require.main === module) {
+  start();
+
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM signal received: closing HTTP server');
+    shutdown();
   });
-});
+
+  process.on('SIGINT', () => {
+    console.log('\nSIGINT signal received: closing HTTP server');
+    shutdown();
+  });
+}
+
+module.exports = {
+  app,
+  start,
+  cache,
+  cacheStore,
+  createMemoryCacheStore,
+  createFileCacheStore,
+  loadCacheEntry,
+  writeCacheEntry,
+  websub,
+  websubTopic,
+  requestWebSubSubscription,
+  loadFeedsFile,
+  getFeedConfig,
+  refreshNews,
+  clusterNewsItems,
+  groupStories,
+  tagNewsItem,
+  filterNews,
+  detectMatchEvents,
+  deviceWantsEvent,
+  settleMatchPredictions,
+  fillTemplate,
+  templateCoversMatch,
+  templateOptions,
+  validPollOptions,
+  jobs,
+  singleFlight,
+  serveCached,
+  defineJob,
+  runJob,
+  touchJob,
+  matchesInProgress,
+  scoresTtl,
+};
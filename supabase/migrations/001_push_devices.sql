@@ -0,0 +1,14 @@
+-- Push notification devices (POST /devices)
+create table if not exists push_devices (
+  token text primary key,
+  platform text not null check (platform in ('ios', 'android', 'web')),
+  device_hash text,
+  teams text[] not null default '{}',
+  leagues text[] not null default '{}',
+  events text[] not null default '{}',
+  enabled boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists push_devices_enabled_idx on push_devices (enabled);
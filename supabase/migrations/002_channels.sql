@@ -0,0 +1,35 @@
+-- YouTube channels shown in the app (/admin/channels)
+create extension if not exists pgcrypto;
+
+create table if not exists channels (
+  id uuid primary key default gen_random_uuid(),
+  handle text not null unique,
+  enabled boolean not null default true,
+  display_order integer not null default 0,
+  sport text,
+  leagues text[] not null default '{}',
+  video_limit integer not null default 6 check (video_limit between 1 and 50),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists channels_enabled_order_idx on channels (enabled, display_order);
+
+-- Seed with the channels that used to be hard-coded in server.js
+insert into channels (handle, display_order, sport, leagues) values
+  ('@ACMilan', 1, 'football', '{Serie A}'),
+  ('@fifa', 2, 'football', '{}'),
+  ('@premierleague', 3, 'football', '{Premier League}'),
+  ('@supersport', 4, 'football', '{}'),
+  ('@realmadrid', 5, 'football', '{La Liga}'),
+  ('@FCBarcelona', 6, 'football', '{La Liga}'),
+  ('@mancity', 7, 'football', '{Premier League}'),
+  ('@Juventus', 8, 'football', '{Serie A}'),
+  ('@chelseafc', 9, 'football', '{Premier League}'),
+  ('@LiverpoolFC', 10, 'football', '{Premier League}'),
+  ('@arsenal', 11, 'football', '{Premier League}'),
+  ('@seriea', 12, 'football', '{Serie A}'),
+  ('@bundesliga', 13, 'football', '{Bundesliga}'),
+  ('@LaLiga', 14, 'football', '{La Liga}'),
+  ('@Ligue1', 15, 'football', '{Ligue 1}')
+on conflict (handle) do nothing;
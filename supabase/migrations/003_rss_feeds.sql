@@ -0,0 +1,54 @@
+-- RSS feeds aggregated into /news (/admin/feeds), with per-feed health
+create extension if not exists pgcrypto;
+
+create table if not exists rss_feeds (
+  id uuid primary key default gen_random_uuid(),
+  url text not null unique,
+  source text not null,
+  enabled boolean not null default true,
+  consecutive_failures integer not null default 0,
+  last_success_at timestamptz,
+  last_error_at timestamptz,
+  last_error text,
+  item_count integer,
+  avg_latency_ms integer,
+  disabled_reason text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists rss_feeds_enabled_idx on rss_feeds (enabled);
+
+-- Seed with the feeds that used to be hard-coded in server.js
+insert into rss_feeds (url, source) values
+  ('https://www.fifa.com/rss-feeds/news', 'FIFA'),
+  ('https://www.goal.com/feeds/en/news', 'Goal'),
+  ('https://www.skysports.com/rss/12040', 'Sky Sports Football'),
+  ('https://www.espn.com/espn/rss/soccer/news', 'ESPN FC'),
+  ('https://www.si.com/rss/section/soccer', 'Sports Illustrated'),
+  ('https://www.bbc.com/sport/football/rss.xml', 'BBC Football'),
+  ('https://www.theguardian.com/football/rss', 'The Guardian Football'),
+  ('https://feeds.reuters.com/reuters/soccerNews', 'Reuters Soccer'),
+  ('https://www.independent.co.uk/sport/football/rss', 'The Independent Football'),
+  ('https://rss.nytimes.com/services/xml/rss/nyt/Soccer.xml', 'NYTimes Soccer'),
+  ('https://www.premierleague.com/news.rss', 'Premier League'),
+  ('https://feeds.bbci.co.uk/sport/football/rss.xml', 'BBC Football'),
+  ('https://www.liverpoolfc.com/news/rss.xml', 'Liverpool FC'),
+  ('https://www.manutd.com/rss/news', 'Man Utd'),
+  ('https://www.arsenal.com/rss-news-feed', 'Arsenal'),
+  ('https://www.chelseafc.com/en/rss/news', 'Chelsea'),
+  ('https://www.tottenhamhotspur.com/feeds/rss/news.xml', 'Tottenham'),
+  ('https://www.evertonfc.com/rss.xml', 'Everton'),
+  ('https://www.westhamunited.com/rss.xml', 'West Ham'),
+  ('https://www.mancity.com/news.rss', 'Man City'),
+  ('https://www.realmadrid.com/en/rss/rss.xml', 'Real Madrid'),
+  ('https://www.fcbarcelona.com/feeds/rss/news', 'FC Barcelona'),
+  ('https://www.acmilan.com/en/news/rss.xml', 'AC Milan'),
+  ('https://www.inter.it/en/rss.xml', 'Inter'),
+  ('https://www.juventus.com/en/news/rss.xml', 'Juventus'),
+  ('https://fcbayern.com/en/news/rss.xml', 'Bayern'),
+  ('https://www.bundesliga.com/en/news/rssfeed', 'Bundesliga'),
+  ('https://www.laliga.com/en-GB/rss/news', 'LaLiga'),
+  ('https://www.psg.fr/news/feed', 'PSG'),
+  ('https://www.ligue1.com/rss.xml', 'Ligue 1')
+on conflict (url) do nothing;
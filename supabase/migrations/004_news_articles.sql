@@ -0,0 +1,41 @@
+-- Archive of every article seen by /news, searchable through /news/search
+create table if not exists news_articles (
+  canonical_url text primary key,
+  url text not null,
+  title text not null,
+  summary text,
+  image text,
+  source text not null,
+  published_at timestamptz,
+  first_seen_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  search tsvector generated always as (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(summary, '')), 'B')
+  ) stored
+);
+
+create index if not exists news_articles_search_idx on news_articles using gin (search);
+create index if not exists news_articles_published_idx on news_articles (published_at desc);
+
+-- Text relevance decayed by age: an article a week old ranks at half weight
+create or replace function search_news_articles(q text, max_results integer default 20, result_offset integer default 0)
+returns table (
+  canonical_url text,
+  url text,
+  title text,
+  summary text,
+  image text,
+  source text,
+  published_at timestamptz,
+  rank real
+)
+language sql stable as $$
+  select a.canonical_url, a.url, a.title, a.summary, a.image, a.source, a.published_at,
+    (ts_rank_cd(a.search, query) /
+      (1 + extract(epoch from now() - coalesce(a.published_at, a.first_seen_at)) / (7 * 86400)))::real as rank
+  from news_articles a, websearch_to_tsquery('english', q) query
+  where a.search @@ query
+  order by rank desc, a.published_at desc nulls last
+  limit max_results offset result_offset;
+$$;
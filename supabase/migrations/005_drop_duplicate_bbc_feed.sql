@@ -0,0 +1,2 @@
+-- The BBC football feed was seeded twice under two hostnames; keep feeds.bbci.co.uk
+delete from rss_feeds where url = 'https://www.bbc.com/sport/football/rss.xml';
@@ -0,0 +1,20 @@
+-- Signed-in user favourites and notification preferences (/me)
+create table if not exists user_profiles (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  teams text[] not null default '{}',
+  leagues text[] not null default '{}',
+  channels text[] not null default '{}',
+  notifications jsonb not null default '{"enabled": true, "events": []}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Anonymous votes and push devices are linked to the account on sign-in (/me/link-device)
+alter table poll_votes add column if not exists user_id uuid references auth.users (id) on delete set null;
+create index if not exists poll_votes_device_hash_idx on poll_votes (device_hash);
+create index if not exists poll_votes_user_idx on poll_votes (user_id);
+
+alter table push_devices add column if not exists user_id uuid references auth.users (id) on delete set null;
+alter table push_devices add column if not exists muted boolean not null default false;
+create index if not exists push_devices_device_hash_idx on push_devices (device_hash);
+create index if not exists push_devices_user_idx on push_devices (user_id);
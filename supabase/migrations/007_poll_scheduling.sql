@@ -0,0 +1,6 @@
+-- Polls opened and closed by the server's scheduler (starts_at / ends_at).
+-- Existing polls keep manual control; new polls are scheduled by default.
+alter table polls add column if not exists auto_schedule boolean not null default false;
+alter table polls alter column auto_schedule set default true;
+
+create index if not exists polls_schedule_idx on polls (is_active, starts_at, ends_at);
@@ -0,0 +1,34 @@
+-- Per-option vote totals maintained by trigger, so tallies never scan poll_votes
+create table if not exists poll_option_counts (
+  option_id uuid primary key references poll_options (id) on delete cascade,
+  poll_id uuid not null references polls (id) on delete cascade,
+  votes bigint not null default 0
+);
+
+create index if not exists poll_option_counts_poll_idx on poll_option_counts (poll_id);
+create index if not exists poll_votes_poll_device_idx on poll_votes (poll_id, device_hash);
+
+create or replace function poll_votes_count_trigger() returns trigger
+language plpgsql as $$
+begin
+  if tg_op in ('INSERT', 'UPDATE') then
+    insert into poll_option_counts (option_id, poll_id, votes)
+    values (new.option_id, new.poll_id, 1)
+    on conflict (option_id) do update set votes = poll_option_counts.votes + 1;
+  end if;
+  if tg_op in ('DELETE', 'UPDATE') then
+    update poll_option_counts set votes = votes - 1 where option_id = old.option_id;
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists poll_votes_count on poll_votes;
+create trigger poll_votes_count
+  after insert or delete or update of option_id on poll_votes
+  for each row execute function poll_votes_count_trigger();
+
+-- Backfill from existing votes
+insert into poll_option_counts (option_id, poll_id, votes)
+select option_id, poll_id, count(*) from poll_votes group by option_id, poll_id
+on conflict (option_id) do update set votes = excluded.votes;
@@ -0,0 +1,28 @@
+-- Vote abuse detection: salted IP hash per vote, flagged votes left out of totals
+alter table poll_votes add column if not exists ip_hash text;
+alter table poll_votes add column if not exists flagged boolean not null default false;
+alter table poll_votes add column if not exists flag_reason text;
+alter table poll_votes add column if not exists created_at timestamptz not null default now();
+
+create index if not exists poll_votes_poll_ip_idx on poll_votes (poll_id, ip_hash);
+create index if not exists poll_votes_flagged_idx on poll_votes (poll_id) where flagged;
+
+create or replace function poll_votes_count_trigger() returns trigger
+language plpgsql as $$
+begin
+  if tg_op in ('INSERT', 'UPDATE') and not new.flagged then
+    insert into poll_option_counts (option_id, poll_id, votes)
+    values (new.option_id, new.poll_id, 1)
+    on conflict (option_id) do update set votes = poll_option_counts.votes + 1;
+  end if;
+  if tg_op in ('DELETE', 'UPDATE') and not old.flagged then
+    update poll_option_counts set votes = votes - 1 where option_id = old.option_id;
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists poll_votes_count on poll_votes;
+create trigger poll_votes_count
+  after insert or delete or update of option_id, flagged on poll_votes
+  for each row execute function poll_votes_count_trigger();
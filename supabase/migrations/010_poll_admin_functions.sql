@@ -0,0 +1,62 @@
+-- Poll management functions used by /admin/polls; each runs in one transaction
+
+create or replace function create_poll(
+  p_question text,
+  p_starts_at timestamptz,
+  p_ends_at timestamptz,
+  p_is_active boolean,
+  p_auto_schedule boolean,
+  p_options text[]
+) returns uuid
+language plpgsql as $$
+declare
+  new_id uuid;
+begin
+  insert into polls (question, starts_at, ends_at, is_active, auto_schedule)
+  values (p_question, p_starts_at, p_ends_at, p_is_active, p_auto_schedule)
+  returning id into new_id;
+
+  insert into poll_options (poll_id, text, "order")
+  select new_id, t.text, t.ord from unnest(p_options) with ordinality as t(text, ord);
+
+  return new_id;
+end;
+$$;
+
+create or replace function replace_poll_options(p_poll_id uuid, p_options text[]) returns void
+language plpgsql as $$
+begin
+  perform 1 from polls where id = p_poll_id for update;
+  if exists (select 1 from poll_votes where poll_id = p_poll_id) then
+    raise exception 'poll has votes';
+  end if;
+  delete from poll_options where poll_id = p_poll_id;
+  insert into poll_options (poll_id, text, "order")
+  select p_poll_id, t.text, t.ord from unnest(p_options) with ordinality as t(text, ord);
+end;
+$$;
+
+-- Returns false when the poll does not exist
+create or replace function delete_poll(p_poll_id uuid) returns boolean
+language plpgsql as $$
+begin
+  delete from poll_votes where poll_id = p_poll_id;
+  delete from poll_option_counts where poll_id = p_poll_id;
+  delete from poll_options where poll_id = p_poll_id;
+  delete from polls where id = p_poll_id;
+  return found;
+end;
+$$;
+
+-- Votes per UTC day and option for the CSV export
+create or replace function poll_vote_breakdown(p_poll_id uuid)
+returns table (day date, option_id uuid, votes bigint, flagged bigint)
+language sql stable as $$
+  select (created_at at time zone 'utc')::date as day, option_id,
+    count(*) filter (where not flagged) as votes,
+    count(*) filter (where flagged) as flagged
+  from poll_votes
+  where poll_id = p_poll_id
+  group by 1, 2
+  order by 1, 2;
+$$;
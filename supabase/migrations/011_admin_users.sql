@@ -0,0 +1,45 @@
+-- Individual admin accounts (/admin/login) and the admin audit log
+create extension if not exists pgcrypto;
+
+create table if not exists admin_users (
+  id uuid primary key default gen_random_uuid(),
+  email text not null unique,
+  password_hash text not null,
+  role text not null default 'editor' check (role in ('editor', 'owner')),
+  disabled boolean not null default false,
+  failed_attempts integer not null default 0,
+  locked_until timestamptz,
+  last_login_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists admin_audit_log (
+  id bigserial primary key,
+  created_at timestamptz not null default now(),
+  admin_id uuid,
+  admin_email text,
+  action text not null,
+  target text,
+  details jsonb,
+  ip_hash text
+);
+
+create index if not exists admin_audit_log_admin_idx on admin_audit_log (admin_id, id desc);
+
+-- Append-only: entries can be added but never changed or removed
+create or replace function admin_audit_log_immutable() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'admin_audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists admin_audit_log_no_change on admin_audit_log;
+create trigger admin_audit_log_no_change
+  before update or delete on admin_audit_log
+  for each row execute function admin_audit_log_immutable();
+
+drop trigger if exists admin_audit_log_no_truncate on admin_audit_log;
+create trigger admin_audit_log_no_truncate
+  before truncate on admin_audit_log
+  for each statement execute function admin_audit_log_immutable();
@@ -0,0 +1,162 @@
+-- Predictor game: one score prediction per fixture per player (account, or device while signed out)
+create table if not exists predictions (
+  id uuid primary key default gen_random_uuid(),
+  match_id text not null,
+  provider text not null,
+  device_hash text,
+  user_id uuid references auth.users (id) on delete cascade,
+  home_goals integer not null check (home_goals between 0 and 20),
+  away_goals integer not null check (away_goals between 0 and 20),
+  kickoff_at timestamptz not null,
+  home_team text not null,
+  away_team text not null,
+  league text,
+  outcome text check (outcome in ('exact', 'goal_difference', 'result', 'miss')),
+  points integer,
+  settled_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (device_hash is not null or user_id is not null)
+);
+
+create unique index if not exists predictions_match_user_idx on predictions (match_id, user_id) where user_id is not null;
+create unique index if not exists predictions_match_device_idx on predictions (match_id, device_hash) where user_id is null;
+create index if not exists predictions_device_idx on predictions (device_hash);
+create index if not exists predictions_pending_idx on predictions (kickoff_at) where settled_at is null;
+create index if not exists predictions_settled_idx on predictions (kickoff_at) where settled_at is not null;
+
+-- Creates or updates the caller's prediction; a signed-in user takes over the
+-- device's anonymous prediction for the fixture. Settled predictions are final.
+create or replace function save_prediction(
+  p_match_id text,
+  p_provider text,
+  p_user_id uuid,
+  p_device_hash text,
+  p_home_goals integer,
+  p_away_goals integer,
+  p_kickoff_at timestamptz,
+  p_home_team text,
+  p_away_team text,
+  p_league text
+) returns predictions
+language plpgsql as $$
+declare
+  saved predictions;
+begin
+  if p_kickoff_at <= now() then
+    raise exception 'prediction locked';
+  end if;
+
+  if p_user_id is not null then
+    select * into saved from predictions where match_id = p_match_id and user_id = p_user_id for update;
+  end if;
+  if saved.id is null and p_device_hash is not null then
+    select * into saved from predictions where match_id = p_match_id and device_hash = p_device_hash and user_id is null for update;
+  end if;
+
+  if saved.id is null then
+    insert into predictions (match_id, provider, device_hash, user_id, home_goals, away_goals, kickoff_at, home_team, away_team, league)
+    values (p_match_id, p_provider, p_device_hash, p_user_id, p_home_goals, p_away_goals, p_kickoff_at, p_home_team, p_away_team, p_league)
+    returning * into saved;
+    return saved;
+  end if;
+
+  if saved.settled_at is not null then
+    raise exception 'prediction locked';
+  end if;
+
+  update predictions set
+    user_id = coalesce(p_user_id, user_id),
+    home_goals = p_home_goals,
+    away_goals = p_away_goals,
+    kickoff_at = p_kickoff_at,
+    updated_at = now()
+  where id = saved.id
+  returning * into saved;
+  return saved;
+end;
+$$;
+
+-- Scores every open prediction for a finished fixture; returns how many were settled
+create or replace function settle_predictions(
+  p_match_id text,
+  p_provider text,
+  p_home_goals integer,
+  p_away_goals integer,
+  p_exact_points integer,
+  p_goal_difference_points integer,
+  p_result_points integer
+) returns integer
+language sql as $$
+  with scored as (
+    select id, case
+      when home_goals = p_home_goals and away_goals = p_away_goals then 'exact'
+      when home_goals - away_goals = p_home_goals - p_away_goals then 'goal_difference'
+      when sign(home_goals - away_goals) = sign(p_home_goals - p_away_goals) then 'result'
+      else 'miss'
+    end as outcome
+    from predictions
+    where match_id = p_match_id and provider = p_provider and settled_at is null
+  ), settled as (
+    update predictions p set
+      outcome = s.outcome,
+      points = case s.outcome
+        when 'exact' then p_exact_points
+        when 'goal_difference' then p_goal_difference_points
+        when 'result' then p_result_points
+        else 0
+      end,
+      settled_at = now()
+    from scored s
+    where p.id = s.id
+    returning 1
+  )
+  select count(*)::integer from settled;
+$$;
+
+-- Fixtures with open predictions that kicked off in the window
+create or replace function pending_prediction_matches(p_from timestamptz, p_to timestamptz)
+returns table (match_id text, provider text, kickoff_at timestamptz)
+language sql stable as $$
+  select match_id, provider, min(kickoff_at)
+  from predictions
+  where settled_at is null and kickoff_at >= p_from and kickoff_at <= p_to
+  group by match_id, provider
+  order by min(kickoff_at);
+$$;
+
+-- Points per player for fixtures kicked off since p_since. Players are keyed by
+-- account, else device hash, and only exposed as a short digest; p_player's own
+-- row is returned even outside the top p_limit.
+create or replace function prediction_leaderboard(p_since timestamptz, p_limit integer, p_player text default null)
+returns table (rank bigint, player text, points bigint, predictions bigint, exact bigint, is_you boolean)
+language sql stable as $$
+  with totals as (
+    select coalesce(user_id::text, device_hash) as player_key,
+      sum(points) as points,
+      count(*) as predictions,
+      count(*) filter (where outcome = 'exact') as exact
+    from predictions
+    where settled_at is not null and kickoff_at >= p_since
+    group by 1
+  ), ranked as (
+    select rank() over (order by points desc, exact desc) as rank, * from totals
+  )
+  select rank, left(md5(player_key), 10), points, predictions, exact, coalesce(player_key = p_player, false)
+  from ranked
+  where rank <= p_limit or player_key = p_player
+  order by rank, player_key;
+$$;
+
+-- On sign-in, attach the device's anonymous predictions unless the account
+-- already predicted the same fixture
+create or replace function link_device_predictions(p_device_hash text, p_user_id uuid) returns integer
+language sql as $$
+  with linked as (
+    update predictions p set user_id = p_user_id, updated_at = now()
+    where p.device_hash = p_device_hash and p.user_id is null
+      and not exists (select 1 from predictions q where q.match_id = p.match_id and q.user_id = p_user_id)
+    returning 1
+  )
+  select count(*)::integer from linked;
+$$;
@@ -0,0 +1,51 @@
+-- Poll templates instantiated for each fixture of the selected leagues.
+-- `question` and `options` may use {home}, {away} and {league}; an option of
+-- {lineups} expands to both starting XIs once they are published.
+create table if not exists poll_templates (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  question text not null,
+  options text[] not null,
+  leagues text[] not null default '{}',
+  opens_before_minutes integer not null default 60 check (opens_before_minutes between 0 and 10080),
+  enabled boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table polls add column if not exists match_id text;
+alter table polls add column if not exists match_provider text;
+alter table polls add column if not exists template_id uuid references poll_templates (id) on delete set null;
+
+create index if not exists polls_match_idx on polls (match_id) where match_id is not null;
+-- One poll per template and fixture
+create unique index if not exists polls_template_match_idx on polls (template_id, match_provider, match_id) where template_id is not null;
+
+-- create_poll gains the fixture link; the old signature is replaced so calls stay unambiguous
+drop function if exists create_poll(text, timestamptz, timestamptz, boolean, boolean, text[]);
+
+create or replace function create_poll(
+  p_question text,
+  p_starts_at timestamptz,
+  p_ends_at timestamptz,
+  p_is_active boolean,
+  p_auto_schedule boolean,
+  p_options text[],
+  p_match_id text default null,
+  p_match_provider text default null,
+  p_template_id uuid default null
+) returns uuid
+language plpgsql as $$
+declare
+  new_id uuid;
+begin
+  insert into polls (question, starts_at, ends_at, is_active, auto_schedule, match_id, match_provider, template_id)
+  values (p_question, p_starts_at, p_ends_at, p_is_active, p_auto_schedule, p_match_id, p_match_provider, p_template_id)
+  returning id into new_id;
+
+  insert into poll_options (poll_id, text, "order")
+  select new_id, t.text, t.ord from unnest(p_options) with ordinality as t(text, ord);
+
+  return new_id;
+end;
+$$;
@@ -0,0 +1,32 @@
+-- Edits a poll's fields and, when p_options is given, replaces its options in
+-- one transaction, so a poll with votes is left untouched rather than half
+-- updated. Null arguments keep the current value. Returns false when the poll
+-- does not exist.
+create or replace function update_poll(
+  p_poll_id uuid,
+  p_question text default null,
+  p_starts_at timestamptz default null,
+  p_ends_at timestamptz default null,
+  p_is_active boolean default null,
+  p_auto_schedule boolean default null,
+  p_options text[] default null
+) returns boolean
+language plpgsql as $$
+begin
+  update polls set
+    question = coalesce(p_question, question),
+    starts_at = coalesce(p_starts_at, starts_at),
+    ends_at = coalesce(p_ends_at, ends_at),
+    is_active = coalesce(p_is_active, is_active),
+    auto_schedule = coalesce(p_auto_schedule, auto_schedule)
+  where id = p_poll_id;
+  if not found then
+    return false;
+  end if;
+
+  if p_options is not null then
+    perform replace_poll_options(p_poll_id, p_options);
+  end if;
+  return true;
+end;
+$$;
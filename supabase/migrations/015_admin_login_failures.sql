@@ -0,0 +1,16 @@
+-- Counts a failed admin sign-in in a single update, so concurrent attempts
+-- can't overwrite each other's count. Reaching p_max_attempts resets the count
+-- and locks the account for p_lockout_seconds. Returns true when the account
+-- is locked after this attempt.
+create or replace function record_admin_login_failure(p_admin_id uuid, p_max_attempts integer, p_lockout_seconds integer)
+returns boolean
+language sql as $$
+  update admin_users set
+    failed_attempts = case when failed_attempts + 1 >= p_max_attempts then 0 else failed_attempts + 1 end,
+    locked_until = case
+      when failed_attempts + 1 >= p_max_attempts then now() + make_interval(secs => p_lockout_seconds)
+      else locked_until
+    end
+  where id = p_admin_id
+  returning locked_until is not null and locked_until > now();
+$$;
@@ -0,0 +1,74 @@
+-- Predictions remember the final score they were settled against, so a score
+-- the provider corrects later is settled again. Leaderboards rank signed-in
+-- players only: device hashes are free to mint, so device-only predictions are
+-- scored (see /predictions/mine) but not ranked.
+alter table predictions add column if not exists final_home_goals integer;
+alter table predictions add column if not exists final_away_goals integer;
+
+-- Scores open predictions for a finished fixture, and rescores settled ones
+-- when the final score differs; returns how many were (re)scored
+create or replace function settle_predictions(
+  p_match_id text,
+  p_provider text,
+  p_home_goals integer,
+  p_away_goals integer,
+  p_exact_points integer,
+  p_goal_difference_points integer,
+  p_result_points integer
+) returns integer
+language sql as $$
+  with scored as (
+    select id, case
+      when home_goals = p_home_goals and away_goals = p_away_goals then 'exact'
+      when home_goals - away_goals = p_home_goals - p_away_goals then 'goal_difference'
+      when sign(home_goals - away_goals) = sign(p_home_goals - p_away_goals) then 'result'
+      else 'miss'
+    end as outcome
+    from predictions
+    where match_id = p_match_id and provider = p_provider
+      and (settled_at is null
+        or final_home_goals is distinct from p_home_goals
+        or final_away_goals is distinct from p_away_goals)
+  ), settled as (
+    update predictions p set
+      outcome = s.outcome,
+      points = case s.outcome
+        when 'exact' then p_exact_points
+        when 'goal_difference' then p_goal_difference_points
+        when 'result' then p_result_points
+        else 0
+      end,
+      final_home_goals = p_home_goals,
+      final_away_goals = p_away_goals,
+      settled_at = now()
+    from scored s
+    where p.id = s.id
+    returning 1
+  )
+  select count(*)::integer from settled;
+$$;
+
+drop function if exists prediction_leaderboard(timestamptz, integer, text);
+
+-- Points per signed-in player for fixtures kicked off since p_since, exposed
+-- as a short digest of the account id; p_user_id's own row is returned even
+-- outside the top p_limit
+create or replace function prediction_leaderboard(p_since timestamptz, p_limit integer, p_user_id uuid default null)
+returns table (rank bigint, player text, points bigint, predictions bigint, exact bigint, is_you boolean)
+language sql stable as $$
+  with totals as (
+    select user_id,
+      sum(points) as points,
+      count(*) as predictions,
+      count(*) filter (where outcome = 'exact') as exact
+    from predictions
+    where settled_at is not null and kickoff_at >= p_since and user_id is not null
+    group by user_id
+  ), ranked as (
+    select rank() over (order by points desc, exact desc) as rank, * from totals
+  )
+  select rank, left(md5(user_id::text), 10), points, predictions, exact, coalesce(user_id = p_user_id, false)
+  from ranked
+  where rank <= p_limit or user_id = p_user_id
+  order by rank, user_id;
+$$;
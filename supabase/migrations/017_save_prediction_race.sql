@@ -0,0 +1,58 @@
+-- Two first saves for the same fixture and player could both find no row and
+-- both insert; the loser hit the unique index. The loser now takes the
+-- winner's row and updates it like any later save.
+create or replace function save_prediction(
+  p_match_id text,
+  p_provider text,
+  p_user_id uuid,
+  p_device_hash text,
+  p_home_goals integer,
+  p_away_goals integer,
+  p_kickoff_at timestamptz,
+  p_home_team text,
+  p_away_team text,
+  p_league text
+) returns predictions
+language plpgsql as $$
+declare
+  saved predictions;
+begin
+  if p_kickoff_at <= now() then
+    raise exception 'prediction locked';
+  end if;
+
+  loop
+    if p_user_id is not null then
+      select * into saved from predictions where match_id = p_match_id and user_id = p_user_id for update;
+    end if;
+    if saved.id is null and p_device_hash is not null then
+      select * into saved from predictions where match_id = p_match_id and device_hash = p_device_hash and user_id is null for update;
+    end if;
+    exit when saved.id is not null;
+
+    begin
+      insert into predictions (match_id, provider, device_hash, user_id, home_goals, away_goals, kickoff_at, home_team, away_team, league)
+      values (p_match_id, p_provider, p_device_hash, p_user_id, p_home_goals, p_away_goals, p_kickoff_at, p_home_team, p_away_team, p_league)
+      returning * into saved;
+      return saved;
+    exception when unique_violation then
+      -- A concurrent save inserted first; look its row up again
+      saved := null;
+    end;
+  end loop;
+
+  if saved.settled_at is not null then
+    raise exception 'prediction locked';
+  end if;
+
+  update predictions set
+    user_id = coalesce(p_user_id, user_id),
+    home_goals = p_home_goals,
+    away_goals = p_away_goals,
+    kickoff_at = p_kickoff_at,
+    updated_at = now()
+  where id = saved.id
+  returning * into saved;
+  return saved;
+end;
+$$;
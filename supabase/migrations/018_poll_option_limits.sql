@@ -0,0 +1,56 @@
+-- The 2-10 options of at most 100 characters that /admin/polls validates are
+-- enforced here too, so polls created from templates (where {lineups} expands
+-- to both starting XIs) or by any other caller can't exceed them.
+create or replace function check_poll_options(p_options text[]) returns void
+language plpgsql immutable as $$
+begin
+  if coalesce(array_length(p_options, 1), 0) not between 2 and 10 then
+    raise exception 'invalid poll options: a poll needs 2 to 10 options';
+  end if;
+  if exists (select 1 from unnest(p_options) as t(text) where t.text is null or length(btrim(t.text)) not between 1 and 100) then
+    raise exception 'invalid poll options: options are 1 to 100 characters';
+  end if;
+end;
+$$;
+
+create or replace function create_poll(
+  p_question text,
+  p_starts_at timestamptz,
+  p_ends_at timestamptz,
+  p_is_active boolean,
+  p_auto_schedule boolean,
+  p_options text[],
+  p_match_id text default null,
+  p_match_provider text default null,
+  p_template_id uuid default null
+) returns uuid
+language plpgsql as $$
+declare
+  new_id uuid;
+begin
+  perform check_poll_options(p_options);
+
+  insert into polls (question, starts_at, ends_at, is_active, auto_schedule, match_id, match_provider, template_id)
+  values (p_question, p_starts_at, p_ends_at, p_is_active, p_auto_schedule, p_match_id, p_match_provider, p_template_id)
+  returning id into new_id;
+
+  insert into poll_options (poll_id, text, "order")
+  select new_id, t.text, t.ord from unnest(p_options) with ordinality as t(text, ord);
+
+  return new_id;
+end;
+$$;
+
+create or replace function replace_poll_options(p_poll_id uuid, p_options text[]) returns void
+language plpgsql as $$
+begin
+  perform check_poll_options(p_options);
+  perform 1 from polls where id = p_poll_id for update;
+  if exists (select 1 from poll_votes where poll_id = p_poll_id) then
+    raise exception 'poll has votes';
+  end if;
+  delete from poll_options where poll_id = p_poll_id;
+  insert into poll_options (poll_id, text, "order")
+  select p_poll_id, t.text, t.ord from unnest(p_options) with ordinality as t(text, ord);
+end;
+$$;
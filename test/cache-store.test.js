@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CACHE_STORE = 'memory';
+delete process.env.REDIS_URL;
+
+const {
+  cacheStore,
+  createMemoryCacheStore,
+  createFileCacheStore,
+  loadCacheEntry,
+  writeCacheEntry,
+} = require('../server');
+
+function tmpFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sportrays-cache-'));
+  return path.join(dir, 'cache.json');
+}
+
+test('memory store expires entries', async () => {
+  const store = createMemoryCacheStore();
+  await store.set('a', { n: 1 }, 60000);
+  await store.set('b', { n: 2 }, -1);
+  assert.deepStrictEqual(await store.get('a'), { n: 1 });
+  assert.strictEqual(await store.get('b'), null);
+  assert.strictEqual(store.entries.has('b'), false);
+});
+
+test('memory store counters add up and restart after expiry', async () => {
+  const store = createMemoryCacheStore();
+  assert.strictEqual(await store.incrBy('quota', 100, 60000), 100);
+  assert.strictEqual(await store.incrBy('quota', 1, 60000), 101);
+  store.entries.get('quota').expiresAt = Date.now() - 1;
+  assert.strictEqual(await store.incrBy('quota', 5, 60000), 5);
+});
+
+test('file store survives a restart and drops expired entries', async () => {
+  const file = tmpFile();
+  const first = createFileCacheStore(file);
+  await first.set('news', { expires: 1, data: 'x' }, 60000);
+  await first.set('gone', { data: 'y' }, 1);
+  await first.incrBy('quota', 3, 60000);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await first.close();
+
+  const second = createFileCacheStore(file);
+  assert.deepStrictEqual(await second.get('news'), { expires: 1, data: 'x' });
+  assert.strictEqual(await second.get('gone'), null);
+  assert.strictEqual(await second.get('quota'), 3);
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
+
+test('file store starts empty when the file is corrupt', async () => {
+  const file = tmpFile();
+  fs.writeFileSync(file, '{not json');
+  const store = createFileCacheStore(file);
+  assert.strictEqual(store.entries.size, 0);
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
+
+test('entries are not mirrored into the memory store', async () => {
+  assert.strictEqual(cacheStore.name, 'memory');
+  const entry = { data: { items: [] }, expires: Date.now() + 60000 };
+  assert.strictEqual(writeCacheEntry('news', entry), entry);
+  assert.strictEqual(cacheStore.entries.has('news'), false);
+
+  const stale = { data: { items: [] }, expires: Date.now() - 1 };
+  assert.strictEqual(await loadCacheEntry('news', stale), stale);
+  assert.strictEqual(await loadCacheEntry('news', undefined), undefined);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.CACHE_STORE = 'memory';
+
+const {
+  jobs, singleFlight, serveCached, defineJob, runJob, touchJob, matchesInProgress, scoresTtl,
+} = require('../server');
+
+const MINUTE = 60 * 1000;
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+test('concurrent fetches for a key share one call', async () => {
+  let calls = 0;
+  const gate = deferred();
+  const fetch = () => { calls++; return gate.promise; };
+  const first = singleFlight('test:shared', fetch);
+  const second = singleFlight('test:shared', fetch);
+  assert.strictEqual(first, second);
+  gate.resolve('data');
+  assert.deepStrictEqual(await Promise.all([first, second]), ['data', 'data']);
+  assert.strictEqual(calls, 1);
+
+  // Settled fetches, failed ones included, are not reused
+  await assert.rejects(singleFlight('test:shared', () => { calls++; throw new Error('down'); }), /down/);
+  assert.strictEqual(await singleFlight('test:shared', fetch), 'data');
+  assert.strictEqual(calls, 3);
+});
+
+test('expired data is served within the grace period while it refreshes', async () => {
+  let calls = 0;
+  const refresh = async () => { calls++; return 'new'; };
+  const nowMs = Date.now();
+  assert.strictEqual(await serveCached({ data: 'fresh', expires: nowMs + MINUTE }, 'test:cached', refresh, MINUTE), 'fresh');
+  assert.strictEqual(calls, 0);
+
+  assert.strictEqual(await serveCached({ data: 'old', expires: nowMs - 1000 }, 'test:cached', refresh, MINUTE), 'old');
+  assert.strictEqual(calls, 1);
+
+  // Past the grace period the caller waits, joining the refresh already running
+  assert.strictEqual(await serveCached({ data: 'old', expires: nowMs - 2 * MINUTE }, 'test:cached', refresh, MINUTE), 'new');
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(await serveCached(undefined, 'test:cached', refresh, MINUTE), 'new');
+  assert.strictEqual(calls, 2);
+});
+
+test('scores poll fast only around fixtures in progress', () => {
+  const at = (offset) => new Date(Date.now() + offset).toISOString();
+  const fixture = (status, kickoff) => ({ id: 'af-1', status, datetime: kickoff });
+
+  assert.strictEqual(matchesInProgress({ live: [fixture('2H', at(-60 * MINUTE))], today: [] }), true);
+  assert.strictEqual(matchesInProgress({ live: [], today: [fixture('NS', at(5 * MINUTE))] }), true);
+  assert.strictEqual(matchesInProgress({ live: [], today: [fixture('NS', at(3 * 60 * MINUTE))] }), false);
+  assert.strictEqual(matchesInProgress({ live: [], today: [fixture('FT', at(-100 * MINUTE))] }), false);
+  // A fixture the provider never marked finished stops counting eventually
+  assert.strictEqual(matchesInProgress({ live: [], today: [fixture('2H', at(-4 * 60 * MINUTE))] }), false);
+
+  const busy = [fixture('1H', at(-10 * MINUTE))];
+  const quiet = [fixture('NS', at(5 * 60 * MINUTE))];
+  assert.ok(scoresTtl('live', busy) < scoresTtl('live', []));
+  assert.ok(scoresTtl('today', busy) < scoresTtl('today', quiet));
+  assert.strictEqual(scoresTtl('upcoming', busy), scoresTtl('upcoming', []));
+});
+
+test('jobs are rescheduled from an adaptive interval with jitter', async (t) => {
+  let interval = 10 * MINUTE;
+  let runs = 0;
+  const job = defineJob('test:adaptive', { interval: () => interval, run: async () => { runs++; } });
+  t.after(() => { clearTimeout(job.timer); jobs.delete(job.name); });
+
+  interval = 45 * 1000;
+  const before = Date.now();
+  await runJob(job);
+  assert.strictEqual(runs, 1);
+  assert.strictEqual(job.runs, 1);
+  const delay = job.nextRunAt - before;
+  assert.ok(delay <= interval + 50 && delay >= interval * 0.8 - 50, `next run in ${delay} ms`);
+
+  // A failing run is recorded and the job keeps its schedule
+  job.run = async () => { throw new Error('provider down'); };
+  await runJob(job);
+  assert.strictEqual(job.lastError, 'provider down');
+  assert.ok(job.timer);
+});
+
+test('on-demand jobs pause when idle and wake on the next read', async (t) => {
+  let runs = 0;
+  const job = defineJob('test:on-demand', { interval: 10 * MINUTE, onDemand: true, run: async () => { runs++; } });
+  t.after(() => { clearTimeout(job.timer); jobs.delete(job.name); });
+  assert.strictEqual(job.paused, true);
+  assert.strictEqual(job.nextRunAt, null);
+
+  touchJob(job.name);
+  assert.strictEqual(job.paused, false);
+  assert.ok(job.nextRunAt > Date.now());
+  await runJob(job);
+  assert.strictEqual(runs, 1);
+
+  // Nobody read its data for longer than the idle limit
+  job.lastDemandAt = Date.now() - 31 * MINUTE;
+  await runJob(job);
+  assert.strictEqual(runs, 1);
+  assert.strictEqual(job.paused, true);
+  assert.strictEqual(job.nextRunAt, null);
+
+  // keepWarm overrides idleness
+  job.keepWarm = () => true;
+  job.paused = false;
+  await runJob(job);
+  assert.strictEqual(runs, 2);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.CACHE_STORE = 'memory';
+
+const { detectMatchEvents, deviceWantsEvent } = require('../server');
+
+const fixture = ({ id = 'af-1', status = '1H', minute = 30, home = 0, away = 0, homeReds = 0, awayReds = 0 } = {}) => ({
+  id,
+  status,
+  minute,
+  league: 'Premier League',
+  leagueId: 'af-39',
+  home: { id: 'af-42', name: 'Arsenal', goals: home, redCards: homeReds },
+  away: { id: 'af-49', name: 'Chelsea', goals: away, redCards: awayReds },
+});
+
+const types = (events) => events.map((e) => (e.team ? `${e.type}:${e.team}` : e.type));
+
+test('goals and red cards are detected per side', () => {
+  const events = detectMatchEvents([fixture()], [fixture({ home: 1, awayReds: 1 })]);
+  assert.deepStrictEqual(types(events), ['goal:home', 'red_card:away']);
+  assert.strictEqual(events[0].matchId, 'af-1');
+});
+
+test('an unchanged or corrected snapshot sends nothing', () => {
+  assert.deepStrictEqual(detectMatchEvents([fixture({ home: 1 })], [fixture({ home: 1 })]), []);
+  // A disallowed goal lowers the score; that is not an event
+  assert.deepStrictEqual(detectMatchEvents([fixture({ home: 1 })], [fixture({ home: 0 })]), []);
+  // Providers without card counts never produce red cards
+  const noCards = fixture({ homeReds: null });
+  assert.deepStrictEqual(detectMatchEvents([noCards], [{ ...noCards, home: { ...noCards.home, redCards: 1 } }]), []);
+});
+
+test('phase changes become kick-off, half-time and full-time', () => {
+  assert.deepStrictEqual(types(detectMatchEvents([fixture({ status: 'NS', minute: 0 })], [fixture({ status: '1H', minute: 1 })])), ['kick_off']);
+  assert.deepStrictEqual(types(detectMatchEvents([fixture()], [fixture({ status: 'HT', minute: 45 })])), ['half_time']);
+  assert.deepStrictEqual(types(detectMatchEvents([fixture({ status: 'HT' })], [fixture({ status: 'HT' })])), []);
+  assert.deepStrictEqual(types(detectMatchEvents([fixture({ status: '2H' })], [fixture({ status: 'FT', minute: 90 })])), ['full_time']);
+});
+
+test('fixtures entering or leaving the live feed', () => {
+  // Only a fixture that just started counts as a kick-off
+  assert.deepStrictEqual(types(detectMatchEvents([], [fixture({ minute: 2 })])), ['kick_off']);
+  assert.deepStrictEqual(types(detectMatchEvents([], [fixture({ minute: 60 })])), []);
+  // Fixtures confirmed finished after dropping out of the feed
+  assert.deepStrictEqual(types(detectMatchEvents([fixture()], [], [fixture({ status: 'FT' })])), ['full_time']);
+});
+
+test('devices get events for followed teams or leagues', () => {
+  const [goal] = detectMatchEvents([fixture()], [fixture({ home: 1 })]);
+  assert.strictEqual(deviceWantsEvent({ teams: ['af-42'], leagues: [] }, goal), true);
+  assert.strictEqual(deviceWantsEvent({ teams: ['chelsea'], leagues: [] }, goal), true);
+  assert.strictEqual(deviceWantsEvent({ teams: [], leagues: ['af-39'] }, goal), true);
+  assert.strictEqual(deviceWantsEvent({ teams: [], leagues: ['premier league'] }, goal), true);
+  assert.strictEqual(deviceWantsEvent({ teams: ['af-50'], leagues: ['af-140'] }, goal), false);
+  assert.strictEqual(deviceWantsEvent({}, goal), false);
+});
+
+test('devices can limit the event types they receive', () => {
+  const [goal, red] = detectMatchEvents([fixture()], [fixture({ home: 1, awayReds: 1 })]);
+  const device = { teams: ['af-42'], leagues: [], events: ['goal'] };
+  assert.strictEqual(deviceWantsEvent(device, goal), true);
+  assert.strictEqual(deviceWantsEvent(device, red), false);
+  // An empty list means every type
+  assert.strictEqual(deviceWantsEvent({ ...device, events: [] }, red), true);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.CACHE_STORE = 'memory';
+
+const { cache, fillTemplate, templateCoversMatch, templateOptions, validPollOptions } = require('../server');
+
+const match = (overrides = {}) => ({
+  id: 'af-1',
+  status: 'NS',
+  league: 'Premier League',
+  leagueId: 'af-39',
+  country: 'England',
+  home: { id: 'af-42', name: 'Arsenal' },
+  away: { id: 'af-49', name: 'Chelsea' },
+  ...overrides,
+});
+
+// Starting XIs list the goalkeeper first and the forwards last
+const startXI = (prefix) => Array.from({ length: 11 }, (_, i) => ({ name: `${prefix}${i + 1}`, number: i + 1, position: null }));
+
+function withLineups(m) {
+  cache.matches.set(`${m.id}`, {
+    data: { ...m, lineups: { home: { startXI: startXI('H') }, away: { startXI: startXI('A') } } },
+    expires: Date.now() + 60000,
+  });
+  return m;
+}
+
+test('placeholders are filled from the fixture', () => {
+  assert.strictEqual(fillTemplate('Who wins {home} v {away} in the {league}?', match()), 'Who wins Arsenal v Chelsea in the Premier League?');
+  assert.strictEqual(fillTemplate('{home} or {home}', match()), 'Arsenal or Arsenal');
+});
+
+test('templates cover fixtures by league id, name or tag', () => {
+  const covers = (leagues, m = match()) => templateCoversMatch({ leagues }, m);
+  assert.ok(covers(['af-39']));
+  assert.ok(covers(['Premier League']));
+  assert.ok(covers(['premier-league']));
+  assert.ok(!covers(['la-liga']));
+  // Same name, different country
+  const welsh = match({ country: 'Wales', home: { id: 'af-1', name: 'Bala Town' }, away: { id: 'af-2', name: 'Newtown' } });
+  assert.ok(covers(['Premier League'], welsh));
+  assert.ok(!covers(['premier-league'], welsh));
+});
+
+test('fixed options are filled in and clipped to 100 characters', async () => {
+  const options = await templateOptions({ options: ['{home}', 'Draw', '{away}'] }, match());
+  assert.deepStrictEqual(options, ['Arsenal', 'Draw', 'Chelsea']);
+
+  const long = match({ home: { id: 'af-1', name: 'X'.repeat(120) } });
+  const [clipped] = await templateOptions({ options: ['{home}', 'Draw'] }, long);
+  assert.strictEqual(clipped.length, 100);
+  assert.ok(clipped.endsWith('…'));
+});
+
+test('{lineups} waits for the starting XIs', async () => {
+  assert.strictEqual(await templateOptions({ options: ['{lineups}'] }, match({ id: 'af-404' })), null);
+  cache.matches.set('af-2', { data: { ...match({ id: 'af-2' }), lineups: null }, expires: Date.now() + 60000 });
+  assert.strictEqual(await templateOptions({ options: ['{lineups}'] }, match({ id: 'af-2' })), null);
+});
+
+test('{lineups} fills the free options with forwards first, alternating sides', async () => {
+  const m = withLineups(match({ id: 'af-3' }));
+  const options = await templateOptions({ options: ['{lineups}'] }, m);
+  assert.deepStrictEqual(options, [
+    'H11 (Arsenal)', 'A11 (Chelsea)', 'H10 (Arsenal)', 'A10 (Chelsea)', 'H9 (Arsenal)',
+    'A9 (Chelsea)', 'H8 (Arsenal)', 'A8 (Chelsea)', 'H7 (Arsenal)', 'A7 (Chelsea)',
+  ]);
+  assert.ok(validPollOptions(options));
+
+  const withOthers = await templateOptions({ options: ['Nobody', '{lineups}', 'Own goal'] }, m);
+  assert.strictEqual(withOthers.length, 10);
+  assert.deepStrictEqual([withOthers[0], withOthers[1], withOthers[9]], ['Nobody', 'H11 (Arsenal)', 'Own goal']);
+});
+
+test('options outside the poll limits are rejected', () => {
+  assert.ok(validPollOptions(['Arsenal', 'Draw', 'Chelsea']));
+  assert.ok(!validPollOptions(['Arsenal']));
+  assert.ok(!validPollOptions(Array.from({ length: 11 }, (_, i) => `Option ${i}`)));
+  // Names that collide once filled in, e.g. "{home}" and "Arsenal"
+  assert.ok(!validPollOptions(['Arsenal', 'arsenal ', 'Draw']));
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const fixtures = path.join(__dirname, 'fixtures', 'feeds');
+
+process.env.CACHE_STORE = 'memory';
+process.env.RSS_FEEDS_FILE = path.join(fixtures, 'feeds.json');
+delete process.env.SUPABASE_URL;
+
+const { loadFeedsFile, getFeedConfig, refreshNews, groupStories, filterNews } = require('../server');
+
+test('feeds file urls resolve against its directory', async () => {
+  const feeds = await getFeedConfig();
+  assert.deepStrictEqual(feeds.map((f) => f.source), ['Daily Sport', 'Football Wire']);
+  assert.strictEqual(feeds[0].url, `file://${path.join(fixtures, 'daily-sport.xml')}`);
+  assert.ok(feeds.every((f) => f.enabled && f.consecutiveFailures === 0));
+});
+
+test('an invalid feeds file falls back to the defaults', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sportrays-feeds-'));
+  const write = (name, body) => {
+    fs.writeFileSync(path.join(dir, name), body);
+    return path.join(dir, name);
+  };
+  const defaults = loadFeedsFile(path.join(dir, 'missing.json'));
+  assert.ok(defaults.length > 2);
+  assert.deepStrictEqual(loadFeedsFile(write('broken.json', '[{"url": ')), defaults);
+  assert.deepStrictEqual(loadFeedsFile(write('object.json', '{"url": "https://x.example/rss"}')), defaults);
+  assert.deepStrictEqual(loadFeedsFile(write('no-source.json', '[{"url": "https://x.example/rss"}]')), defaults);
+  assert.deepStrictEqual(
+    loadFeedsFile(write('ok.json', '[{"url": "https://x.example/rss", "source": "X"}]')),
+    [{ url: 'https://x.example/rss', source: 'X' }],
+  );
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('fixture feeds are parsed, clustered into stories and tagged', async () => {
+  const { items } = await refreshNews();
+  assert.strictEqual(items.length, 3);
+
+  // Newest first
+  assert.deepStrictEqual(items.map((n) => n.source), ['Football Wire', 'Daily Sport', 'Daily Sport']);
+  const [wire, daily, training] = items;
+  assert.strictEqual(daily.image, 'https://daily-sport.example/img/saka.jpg');
+  assert.strictEqual(daily.publishedAt, '2026-10-17T19:30:00.000Z');
+
+  // Both derby reports are one story, keyed by the older article
+  assert.strictEqual(wire.storyId, daily.id);
+  assert.strictEqual(daily.storyId, daily.id);
+  assert.strictEqual(training.storyId, training.id);
+
+  assert.deepStrictEqual(daily.teams.sort(), ['arsenal', 'chelsea']);
+  assert.deepStrictEqual(daily.leagues, ['premier-league']);
+  assert.deepStrictEqual(training.teams, ['liverpool']);
+
+  // The report with an image leads its story
+  const stories = groupStories(items);
+  assert.strictEqual(stories.length, 2);
+  assert.strictEqual(stories[0].id, daily.id);
+  assert.deepStrictEqual(stories[0].relatedSources.map((r) => r.source), ['Football Wire']);
+});
+
+test('the team filter matches tags resolved from aliases', async () => {
+  const { items } = await refreshNews();
+  const titles = (query) => filterNews(items, query).map((n) => n.title);
+  assert.deepStrictEqual(titles({ team: 'Gunners' }), [items[0].title, items[1].title]);
+  assert.deepStrictEqual(titles({ team: 'lfc' }), [items[2].title]);
+  // A fragment of a team name is not a team
+  assert.deepStrictEqual(titles({ team: 'arsen' }), []);
+  assert.deepStrictEqual(titles({ team: 'liverpool', q: 'derby' }), []);
+});
+
+test('a missing feed counts as a failure without dropping the others', async () => {
+  const feeds = await getFeedConfig();
+  const wire = feeds.find((f) => f.source === 'Football Wire');
+  const url = wire.url;
+  wire.url = `file://${path.join(fixtures, 'missing.xml')}`;
+  try {
+    const { items } = await refreshNews();
+    assert.strictEqual(wire.consecutiveFailures, 1);
+    assert.ok(wire.lastError);
+    // Earlier articles of a still-configured feed are kept
+    assert.strictEqual(items.length, 3);
+  } finally {
+    wire.url = url;
+  }
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+const migrations = path.join(__dirname, '..', 'supabase', 'migrations');
+
+// Just enough of PostgREST for supabase.rpc(): POST /rest/v1/rpc/<name> with named arguments
+function createRpcServer(db) {
+  return http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const name = req.url.match(/^\/rest\/v1\/rpc\/(\w+)/)?.[1];
+    const args = JSON.parse(body || '{}');
+    const keys = Object.keys(args);
+    try {
+      const sql = `select ${name}(${keys.map((k, i) => `${k} => $${i + 1}`).join(', ')}) as result`;
+      const { rows } = await db.query(sql, keys.map((k) => args[k]));
+      res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify(rows[0].result));
+    } catch (e) {
+      res.writeHead(400, { 'content-type': 'application/json' }).end(JSON.stringify({ message: e.message, code: e.code }));
+    }
+  });
+}
+
+let db;
+let rpc;
+let settleMatchPredictions;
+
+test.before(async () => {
+  db = new PGlite();
+  await db.exec('create schema auth; create table auth.users (id uuid primary key);');
+  for (const file of ['012_predictions.sql', '016_prediction_rescoring.sql', '017_save_prediction_race.sql']) {
+    await db.exec(fs.readFileSync(path.join(migrations, file), 'utf8'));
+  }
+  rpc = createRpcServer(db);
+  await new Promise((resolve) => rpc.listen(0, '127.0.0.1', resolve));
+
+  process.env.CACHE_STORE = 'memory';
+  process.env.SUPABASE_URL = `http://127.0.0.1:${rpc.address().port}`;
+  process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+  ({ settleMatchPredictions } = require('../server'));
+});
+
+test.after(async () => {
+  await new Promise((resolve) => rpc.close(resolve));
+  await db.close();
+});
+
+async function predict(matchId, device, homeGoals, awayGoals) {
+  await db.query(
+    "select save_prediction($1, 'api-football', null, $2, $3, $4, now() + interval '1 day', 'Arsenal', 'Chelsea', 'Premier League')",
+    [matchId, device, homeGoals, awayGoals],
+  );
+}
+
+async function scores(matchId) {
+  const { rows } = await db.query(
+    'select device_hash, outcome, points from predictions where match_id = $1 order by device_hash',
+    [matchId],
+  );
+  return Object.fromEntries(rows.map((r) => [r.device_hash, `${r.outcome}:${r.points}`]));
+}
+
+const result = (id, home, away) => ({ id, status: 'FT', home: { goals: home }, away: { goals: away } });
+
+test('exact score, goal difference and result earn 5, 3 and 2 points', async () => {
+  await predict('af-1', 'a', 2, 1);
+  await predict('af-1', 'b', 3, 2);
+  await predict('af-1', 'c', 3, 1);
+  await predict('af-1', 'd', 1, 1);
+  await predict('af-2', 'a', 0, 0);
+
+  assert.strictEqual(await settleMatchPredictions(result('af-1', 2, 1), 'api-football'), 4);
+  assert.deepStrictEqual(await scores('af-1'), {
+    a: 'exact:5', b: 'goal_difference:3', c: 'result:2', d: 'miss:0',
+  });
+  // Other fixtures and other providers' fixtures are left open
+  assert.deepStrictEqual(await scores('af-2'), { a: 'null:null' });
+  assert.strictEqual(await settleMatchPredictions(result('af-1', 2, 1), 'allsports'), 0);
+});
+
+test('a settled fixture is not scored twice', async () => {
+  assert.strictEqual(await settleMatchPredictions(result('af-1', 2, 1), 'api-football'), 0);
+  // The database agrees, for another instance that hasn't seen the score yet
+  const { rows } = await db.query("select settle_predictions('af-1', 'api-football', 2, 1, 5, 3, 2) as settled");
+  assert.strictEqual(rows[0].settled, 0);
+  await assert.rejects(() => predict('af-1', 'a', 4, 0), /prediction locked/);
+});
+
+test('a corrected final score rescores the fixture', async () => {
+  assert.strictEqual(await settleMatchPredictions(result('af-1', 1, 1), 'api-football'), 4);
+  assert.deepStrictEqual(await scores('af-1'), {
+    a: 'miss:0', b: 'miss:0', c: 'miss:0', d: 'exact:5',
+  });
+  const { rows } = await db.query("select final_home_goals, final_away_goals from predictions where match_id = 'af-1' limit 1");
+  assert.deepStrictEqual(rows[0], { final_home_goals: 1, final_away_goals: 1 });
+});
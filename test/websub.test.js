@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { MockAgent, setGlobalDispatcher } = require('undici');
+
+const { createFakeHub } = require('../scripts/fake-websub-hub');
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitFor(check, timeout = 2000) {
+  const until = Date.now() + timeout;
+  while (!check()) {
+    if (Date.now() > until) throw new Error('timed out');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+const deletion = (videoId) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns:at="http://purl.org/atompub/tombstones/1.0" xmlns="http://www.w3.org/2005/Atom">
+  <at:deleted-entry ref="yt:video:${videoId}" when="2026-10-19T12:00:00+00:00"/>
+</feed>`;
+
+const upload = (videoId, channelId) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns="http://www.w3.org/2005/Atom">
+  <title>YouTube video feed</title>
+  <updated>2026-10-19T12:00:00+00:00</updated>
+  <entry>
+    <id>yt:video:${videoId}</id>
+    <yt:videoId>${videoId}</yt:videoId>
+    <yt:channelId>${channelId}</yt:channelId>
+    <title>Extended highlights</title>
+    <link rel="alternate" href="https://www.youtube.com/watch?v=${videoId}"/>
+    <author><name>Club</name><uri>https://www.youtube.com/channel/${channelId}</uri></author>
+    <published>2026-10-19T12:00:00+00:00</published>
+    <updated>2026-10-19T12:00:00+00:00</updated>
+  </entry>
+</feed>`;
+
+// YouTube Data API calls are answered locally; the app and the hub stay on loopback
+const youtube = new MockAgent();
+youtube.enableNetConnect(/^127\.0\.0\.1/);
+setGlobalDispatcher(youtube);
+
+test('subscribes through the hub and ingests signed notifications only', async (t) => {
+  const hub = createFakeHub();
+  const hubPort = await hub.listen();
+  const appPort = await freePort();
+
+  process.env.CACHE_STORE = 'memory';
+  process.env.PUBLIC_BASE_URL = `http://127.0.0.1:${appPort}`;
+  process.env.WEBSUB_HUB_URL = `http://127.0.0.1:${hubPort}/subscribe`;
+  process.env.WEBSUB_SECRET = 'test-websub-secret';
+  process.env.YOUTUBE_API_KEY = 'test-youtube-key';
+  const { app, cache, websub, websubTopic, requestWebSubSubscription } = require('../server');
+  const server = await new Promise((resolve) => { const s = app.listen(appPort, '127.0.0.1', () => resolve(s)); });
+  t.after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await hub.close();
+  });
+
+  const topic = websubTopic('UC123');
+  const sub = { channelId: 'UC123', handle: '@club', status: 'new', requestedAt: 0, leaseExpires: 0 };
+  websub.subscriptions.set(topic, sub);
+
+  const verified = hub.nextVerification();
+  await requestWebSubSubscription(sub, topic);
+  assert.strictEqual(sub.status, 'pending');
+  assert.deepStrictEqual(await verified, { mode: 'subscribe', topic, ok: true });
+  assert.strictEqual(sub.status, 'active');
+  assert.ok(sub.leaseExpires > Date.now());
+  assert.strictEqual(hub.subscriptions.get(topic).secret, 'test-websub-secret');
+
+  cache.videosAll = {
+    data: { items: [{ id: 'keep', channel: { id: 'UC123' } }, { id: 'gone', channel: { id: 'UC123' } }] },
+    expires: Date.now() + 60000,
+  };
+
+  assert.strictEqual(await hub.publish(topic, deletion('keep'), { secret: 'wrong' }), 204);
+  assert.strictEqual(await hub.publish(topic, deletion('gone')), 204);
+  await waitFor(() => cache.videosAll.data.items.length === 1);
+  assert.deepStrictEqual(cache.videosAll.data.items.map((v) => v.id), ['keep']);
+
+  // A new upload is looked up once and merged into the aggregate and the channel's list
+  youtube.get('https://www.googleapis.com')
+    .intercept({ path: (p) => p.startsWith('/youtube/v3/videos?') && p.includes('id=fresh') })
+    .reply(200, {
+      items: [{
+        id: 'fresh',
+        snippet: { title: 'Extended highlights', channelId: 'UC123', channelTitle: 'Club', publishedAt: '2026-10-19T12:00:00Z', thumbnails: {} },
+        contentDetails: { duration: 'PT9M30S' },
+      }],
+    });
+  cache.channelIdByHandle.set('@club', { id: 'UC123', expires: Date.now() + 60000 });
+  cache.videosByHandle.set('@club', { data: { items: [], nextCursor: null }, expires: Date.now() + 60000 });
+
+  assert.strictEqual(await hub.publish(topic, upload('fresh', 'UC123')), 204);
+  await waitFor(() => cache.videosAll.data.items.length === 2);
+  const [fresh] = cache.videosAll.data.items;
+  assert.strictEqual(fresh.id, 'fresh');
+  assert.strictEqual(fresh.durationSec, 570);
+  assert.strictEqual(fresh.channel.id, 'UC123');
+  assert.deepStrictEqual(cache.videosByHandle.get('@club').data.items.map((v) => v.id), ['fresh']);
+
+  // A malformed lease falls back to the default one
+  const leased = { channelId: 'UClease', handle: '@lease', status: 'pending', requestedAt: Date.now(), leaseExpires: 0 };
+  websub.subscriptions.set(websubTopic('UClease'), leased);
+  const url = new URL(`${process.env.PUBLIC_BASE_URL}/websub/youtube`);
+  url.search = new URLSearchParams({
+    'hub.mode': 'subscribe', 'hub.topic': websubTopic('UClease'), 'hub.challenge': 'c', 'hub.lease_seconds': 'soon',
+  });
+  assert.strictEqual(await (await fetch(url)).text(), 'c');
+  assert.strictEqual(leased.status, 'active');
+  assert.ok(leased.leaseExpires - Date.now() > 4 * 24 * 60 * 60 * 1000);
+});
+
+test('unknown topics fail verification', async (t) => {
+  const hub = createFakeHub();
+  const hubPort = await hub.listen();
+  t.after(() => hub.close());
+
+  const { websubTopic } = require('../server');
+  const verified = hub.nextVerification();
+  const res = await fetch(`http://127.0.0.1:${hubPort}/subscribe`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      'hub.callback': `${process.env.PUBLIC_BASE_URL}/websub/youtube`,
+      'hub.topic': websubTopic('UCunknown'),
+      'hub.mode': 'subscribe',
+    }).toString(),
+  });
+  assert.strictEqual(res.status, 202);
+  assert.strictEqual((await verified).ok, false);
+});